@@ -28,6 +28,18 @@ RELEASES_BASE="https://github.com/hrbrlife/melusina-static-store/releases/downlo
 MAX_SPK_SIZE=$((95 * 1024 * 1024))  # 95 MB — packages larger than this use GitHub Releases
 RELEASES_BASE="https://github.com/hrbrlife/melusina-static-store/releases/download/packages-v1"
 VERIFIER_SRC="verifier"
+# Retention for previous releases' SPKs (pinned installs / rollback): at most
+# KEEP_VERSIONS packages per app, current included, and older ones only while
+# they fit in KEEP_MB per app
+KEEP_VERSIONS="${STORE_KEEP_VERSIONS:-5}"
+KEEP_BYTES=$(( ${STORE_KEEP_MB:-500} * 1024 * 1024 ))
+REVIEWS_DIR="reviews"            # reviews/<appId>.json, reviewer keys in reviews/keys/<handle>.asc
+CONTENT_SEED_DIR="app-content"   # app-content/<appId>/ docs, FAQ, changelog, fees an app repo doesn't ship yet
+PLANS_FILE="plans.json"          # pBay hosting plans shown on every app's Fees tab
+SCREENSHOT_WIDTHS="480 1280"     # WebP renditions per screenshot: card/gallery thumbnail, medium
+ICON_SIZES="64 128 256"          # PNG renditions per icon (square, in px)
+MAX_VIDEO_SIZE=$((20 * 1024 * 1024))  # screenshot clips (.mp4/.webm)
+MAX_VIDEO_SECONDS=60
 BASE_URL="https://hrbrlife.github.io/melusina-static-store"
 
 # Sandstorm binary update hosting
@@ -71,6 +83,18 @@ git submodule update --init 2>/dev/null || true
 # --- Step 1: Validate and collect metadata ------------------------------------
 info "Scanning $PACKAGES_DIR/ for app bundles..."
 
+# Screenshot renditions are made with cwebp (libwebp) while scanning, so the
+# catalog only lists files that exist. Without it, the originals are served.
+CWEBP="$(command -v cwebp || true)"
+FFPROBE="$(command -v ffprobe || true)"   # only required when an app ships clips
+RSVG="$(command -v rsvg-convert || true)"
+if [[ -z "$RSVG" ]] && ! $DRY_RUN; then
+  warn "rsvg-convert not found (install librsvg) — icons will be published without PNG sizes"
+fi
+if [[ -z "$CWEBP" ]] && ! $DRY_RUN; then
+  warn "cwebp not found (install libwebp) — screenshots will be published without WebP renditions"
+fi
+
 REQUIRED_FIELDS=(appId name version versionNumber packageId shortDescription categories isOpenSource webLink codeLink upstreamAuthor createdAt)
 REQUIRED_AUTHOR_FIELDS=(name)
 
@@ -120,13 +144,351 @@ for f in ['name']:
     ((errors++)) || true
   fi
 
-  # Check icon exists
-  local has_icon=false
-  [[ -f "$app_dir/icon.svg" ]] && has_icon=true
-  [[ -f "$app_dir/icon.png" ]] && has_icon=true
-  if ! $has_icon; then
-    fail "$app_dir: no icon.svg or icon.png found"
-    ((errors++)) || true
+  # Check the icon. Icons are served from the store's own origin, so an SVG is
+  # rebuilt from an allow-list of elements and attributes: scripts, event
+  # handlers, foreign content and any reference outside the file (href, url(),
+  # @import) are stripped with a warning. An SVG that can't be parsed safely
+  # (malformed, DOCTYPE/entities, not <svg>) or a PNG that isn't one fails.
+  # The cleaned icon is staged in ICONS_DIR as <md5>.<ext>; APP_ICON_ID names it.
+  APP_ICON_ID=""
+  local icon_report
+  icon_report="$(python3 -c "
+import hashlib, os, re, xml.etree.ElementTree as ET
+
+d = '$app_dir'
+SVG = 'http://www.w3.org/2000/svg'
+XLINK = 'http://www.w3.org/1999/xlink'
+ELEMENTS = {
+    'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'style', 'switch',
+    'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'image',
+    'text', 'tspan', 'textPath', 'marker', 'pattern', 'clipPath', 'mask',
+    'linearGradient', 'radialGradient', 'stop', 'filter', 'feBlend', 'feColorMatrix',
+    'feComponentTransfer', 'feComposite', 'feConvolveMatrix', 'feDiffuseLighting',
+    'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA',
+    'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge', 'feMergeNode',
+    'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight',
+    'feTile', 'feTurbulence',
+}
+LOCAL_REF = re.compile(r'#[^\s]*|data:image/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=\s]+')
+BAD_CSS = re.compile(r'@import|expression\s*\(|javascript:|url\(\s*[\"\']?(?!#)', re.I)
+removed = []
+
+def clean(el):
+    for child in list(el):
+        ns, _, tag = child.tag[1:].partition('}') if child.tag.startswith('{') else ('', '', child.tag)
+        if ns != SVG or tag not in ELEMENTS:
+            removed.append(f'<{tag}>')
+            el.remove(child)
+            continue
+        if tag == 'style' and BAD_CSS.search(child.text or ''):
+            removed.append('<style> with external references')
+            el.remove(child)
+            continue
+        clean(child)
+    for name, value in list(el.attrib.items()):
+        ns, _, attr = name[1:].partition('}') if name.startswith('{') else ('', '', name)
+        if ns not in ('', XLINK) or attr.lower().startswith('on'):
+            removed.append(f'{attr}=')
+        elif attr == 'href' and not LOCAL_REF.fullmatch(value.strip()):
+            removed.append(f'href={value[:40]!r}')
+        elif re.search(r'url\(\s*[\"\']?(?!#)', value):
+            removed.append(f'{attr}={value[:40]!r}')
+        elif attr == 'style' and BAD_CSS.search(value):
+            removed.append(f'style={value[:40]!r}')
+        else:
+            continue
+        del el.attrib[name]
+
+svg, png = os.path.join(d, 'icon.svg'), os.path.join(d, 'icon.png')
+if os.path.isfile(svg):
+    raw = open(svg, 'rb').read()
+    if re.search(rb'<!(DOCTYPE|ENTITY)', raw, re.I):
+        print('FAIL icon.svg: DOCTYPE and entity declarations are not allowed')
+        raise SystemExit
+    try:
+        root = ET.fromstring(raw)
+    except ET.ParseError as e:
+        print(f'FAIL icon.svg: not well-formed XML ({e})')
+        raise SystemExit
+    if root.tag != '{%s}svg' % SVG:
+        print('FAIL icon.svg: root element must be <svg> in the SVG namespace')
+        raise SystemExit
+    clean(root)
+    if removed:
+        print('WARN icon.svg: stripped ' + ', '.join(sorted(set(removed))))
+    ET.register_namespace('', SVG)
+    ET.register_namespace('xlink', XLINK)
+    out, ext = ET.tostring(root, encoding='utf-8'), 'svg'
+elif os.path.isfile(png):
+    out, ext = open(png, 'rb').read(), 'png'
+    if out[:8] != b'\x89PNG\r\n\x1a\n':
+        print('FAIL icon.png: not a PNG image')
+        raise SystemExit
+else:
+    print('FAIL no icon.svg or icon.png found')
+    raise SystemExit
+image_id = hashlib.md5(out).hexdigest() + '.' + ext
+open(os.path.join('$ICONS_DIR', image_id), 'wb').write(out)
+print('ID ' + image_id)
+")"
+  while IFS= read -r line; do
+    case "$line" in
+      "FAIL "*) fail "$app_dir: ${line#FAIL }"; ((errors++)) || true ;;
+      "WARN "*) warn "$app_dir: ${line#WARN }" ;;
+      "ID "*)   APP_ICON_ID="${line#ID }" ;;
+    esac
+  done <<< "$icon_report"
+
+  # Validate optional extended content owned by the app repo
+  local content_errors
+  content_errors="$(python3 -c "
+import json, os, re
+
+d = '$app_dir'
+errs = []
+meta = json.load(open(os.path.join(d, 'metadata.json'), encoding='utf-8'))
+
+# A file the app repo doesn't ship may be seeded in this repo under
+# app-content/<appId>/; the app's own file always wins.
+seed = os.path.join('$CONTENT_SEED_DIR', str(meta.get('appId', '')))
+def path(name):
+    own = os.path.join(d, name)
+    return own if os.path.isfile(own) or not os.path.isfile(os.path.join(seed, name)) else os.path.join(seed, name)
+
+def text(v):
+    return isinstance(v, str) and v.strip() != ''
+
+def load(name):
+    p = path(name)
+    if not os.path.isfile(p):
+        return None
+    try:
+        return json.load(open(p, encoding='utf-8'))
+    except Exception as e:
+        errs.append(f'{name} is not valid JSON ({e})')
+        return None
+
+docs = path('docs.md')
+if os.path.isfile(docs):
+    try:
+        if not open(docs, encoding='utf-8').read().strip():
+            errs.append('docs.md is empty')
+    except UnicodeDecodeError:
+        errs.append('docs.md is not valid UTF-8')
+
+faq = load('faq.json')
+if faq is not None:
+    if not isinstance(faq, list):
+        errs.append('faq.json must be a list of {q, a}')
+    else:
+        for i, it in enumerate(faq):
+            if not isinstance(it, dict) or not text(it.get('q')) or not text(it.get('a')):
+                errs.append(f'faq.json[{i}]: q and a must be non-empty strings')
+
+log = load('changelog.json')
+if log is not None:
+    if not isinstance(log, list):
+        errs.append('changelog.json must be a list of {version, date, changes}')
+    else:
+        for i, it in enumerate(log):
+            if not isinstance(it, dict) or not text(it.get('version')):
+                errs.append(f'changelog.json[{i}]: missing version')
+                continue
+            if not isinstance(it.get('date'), str) or not re.fullmatch(r'\d{4}-\d{2}-\d{2}', it['date']):
+                errs.append(f'changelog.json[{i}]: date must be YYYY-MM-DD')
+            ch = it.get('changes')
+            if not isinstance(ch, list) or not ch or not all(text(c) for c in ch):
+                errs.append(f'changelog.json[{i}]: changes must be a non-empty list of strings')
+
+changelog_md = path('CHANGELOG.md')
+if os.path.isfile(changelog_md):
+    try:
+        if not re.search(r'^##\s+\[?v?\d', open(changelog_md, encoding='utf-8').read(), re.M):
+            errs.append('CHANGELOG.md has no version headings (## [1.2.0] - YYYY-MM-DD)')
+    except UnicodeDecodeError:
+        errs.append('CHANGELOG.md is not valid UTF-8')
+
+# Third-party fees, from fees.json or a \"fees\" list in metadata.json:
+# { service, billing, price?, freeTier?, url?, note?, optional? }
+BILLING = ('free', 'usage', 'subscription', 'one-time')
+def check_fee(where, it):
+    if not isinstance(it, dict):
+        return [f'{where}: must be an object']
+    bad = []
+    if not text(it.get('service')):
+        bad.append('service must be a non-empty string')
+    if 'cost' in it:
+        bad.append('cost was replaced by billing/price (see README)')
+    billing = it.get('billing')
+    if billing not in BILLING:
+        bad.append('billing must be one of ' + ', '.join(BILLING))
+    price = it.get('price')
+    if billing == 'free':
+        if price is not None or 'freeTier' in it:
+            bad.append('a free service has no price or freeTier')
+    elif billing in BILLING and price is None:
+        if 'url' not in it:
+            bad.append('price is required unless url links to the pricing page')
+    elif billing in BILLING:
+        if not isinstance(price, dict) or not num(price.get('amount')) or price['amount'] < 0 or not text(price.get('currency')):
+            bad.append('price must be { amount >= 0, currency }')
+        elif billing == 'usage' and not text(price.get('per')):
+            bad.append('price.per must name the billed unit (e.g. \"email\")')
+        elif billing == 'subscription' and price.get('per') not in ('month', 'year'):
+            bad.append('price.per must be month or year')
+        elif billing == 'one-time' and 'per' in price:
+            bad.append('a one-time price has no per')
+        elif set(price) - {'amount', 'currency', 'per'}:
+            bad.append('unknown price field(s) ' + ', '.join(sorted(set(price) - {'amount', 'currency', 'per'})))
+    tier = it.get('freeTier')
+    if tier is not None:
+        if billing == 'one-time':
+            bad.append('a one-time price has no freeTier')
+        elif not isinstance(tier, dict) or not num(tier.get('amount')) or tier['amount'] <= 0 or not text(tier.get('unit')):
+            bad.append('freeTier must be { amount > 0, unit, period? }')
+        elif tier.get('period', 'month') not in ('day', 'month', 'year'):
+            bad.append('freeTier.period must be day, month or year')
+        elif set(tier) - {'amount', 'unit', 'period'}:
+            bad.append('unknown freeTier field(s) ' + ', '.join(sorted(set(tier) - {'amount', 'unit', 'period'})))
+    if 'url' in it and not (isinstance(it['url'], str) and re.match(r'https://[^\s/]+', it['url'])):
+        bad.append('url must be an https:// link')
+    if 'note' in it and not isinstance(it['note'], str):
+        bad.append('note must be a string')
+    if 'optional' in it and not isinstance(it['optional'], bool):
+        bad.append('optional must be true or false')
+    unknown = set(it) - {'service', 'billing', 'price', 'freeTier', 'url', 'note', 'optional', 'cost'}
+    if unknown:
+        bad.append('unknown field(s) ' + ', '.join(sorted(unknown)))
+    return [f'{where}: {b}' for b in bad]
+
+def num(v):
+    return isinstance(v, (int, float)) and not isinstance(v, bool)
+
+fees = None
+fees_src = 'fees.json'
+if 'fees' in meta:
+    if os.path.isfile(os.path.join(d, 'fees.json')):
+        errs.append('fees are declared in both fees.json and metadata.json; keep one')
+    fees, fees_src = meta['fees'], 'metadata.json: fees'
+else:
+    fees = load('fees.json')
+if fees is not None:
+    if not isinstance(fees, list):
+        errs.append(f'{fees_src} must be a list of {{service, billing, ...}}')
+    else:
+        for i, it in enumerate(fees):
+            errs.extend(check_fee(f'{fees_src}[{i}]', it))
+
+# Relative links and images in Markdown resolve against the app's published
+# content: assets/ (copied to content/<appId>/assets/) or screenshots/
+MD_REF = re.compile(r'!?\\[[^\\]]*\\]\\(\\s*<?([^)\\s>]+)|\\b(?:src|href)=[\"\']([^\"\']+)')
+def check_refs(name, md):
+    for m in MD_REF.finditer(md or ''):
+        ref = (m.group(1) or m.group(2)).split('#')[0].split('?')[0]
+        if not ref or re.match(r'[a-zA-Z][a-zA-Z0-9+.-]*:|//', ref):
+            continue
+        rel = os.path.normpath(ref.lstrip('/'))
+        if not rel.startswith(('assets' + os.sep, 'screenshots' + os.sep)):
+            errs.append(f'{name}: {ref!r} must live under assets/ or screenshots/')
+        elif not os.path.isfile(os.path.join(d, rel)):
+            errs.append(f'{name}: {ref!r} not found')
+
+if os.path.isfile(docs):
+    try:
+        check_refs('docs.md', open(docs, encoding='utf-8').read())
+    except UnicodeDecodeError:
+        pass
+for i, it in enumerate(faq if isinstance(faq, list) else []):
+    if isinstance(it, dict) and isinstance(it.get('a'), str):
+        check_refs(f'faq.json[{i}]', it['a'])
+
+# Localized metadata: locales.<tag>.{name,shortDescription,description} and
+# screenshot captions given as {"en": "...", "de": "..."}
+LOCALE_TAG = re.compile(r'[a-z]{2,3}(-[A-Za-z0-9]{2,8})*')
+locs = meta.get('locales')
+if locs is not None:
+    if not isinstance(locs, dict):
+        errs.append('metadata.json: locales must be an object keyed by language tag')
+    else:
+        for tag, fields in locs.items():
+            if not LOCALE_TAG.fullmatch(tag):
+                errs.append(f'metadata.json: locales: {tag!r} is not a language tag (e.g. de, pt-BR)')
+            elif not isinstance(fields, dict):
+                errs.append(f'metadata.json: locales.{tag} must be an object')
+            else:
+                for k, v in fields.items():
+                    if k not in ('name', 'shortDescription', 'description'):
+                        errs.append(f'metadata.json: locales.{tag}.{k} is not a localizable field')
+                    elif not text(v):
+                        errs.append(f'metadata.json: locales.{tag}.{k} must be a non-empty string')
+check_refs('metadata.json: description', meta.get('description') if isinstance(meta.get('description'), str) else '')
+desc_md = os.path.join(d, 'description.md')
+if os.path.isfile(desc_md):
+    check_refs('description.md', open(desc_md, encoding='utf-8').read())
+for i, shot in enumerate(meta.get('screenshots') or []):
+    cap = shot.get('caption') if isinstance(shot, dict) else None
+    if isinstance(cap, dict):
+        bad = [tag for tag, v in cap.items() if not LOCALE_TAG.fullmatch(tag) or not isinstance(v, str)]
+        if bad or not cap:
+            errs.append(f'metadata.json: screenshots[{i}].caption must map language tags to strings')
+
+# Clips: .mp4 (H.264/AV1) or .webm (VP8/VP9/AV1) with a poster image, within
+# MAX_VIDEO_SIZE and MAX_VIDEO_SECONDS. The poster is given as poster or is
+# the image with the same name; ffprobe (FFmpeg) reads codec and duration.
+import subprocess
+IMAGE_EXT = ('.png', '.jpg', '.jpeg', '.gif', '.webp')
+CODECS = {'.mp4': ('h264', 'av1'), '.webm': ('vp8', 'vp9', 'av1')}
+def local(url):
+    if not isinstance(url, str) or not url or re.match(r'[a-zA-Z][a-zA-Z0-9+.-]*:|//', url):
+        return None
+    return url if url.startswith('screenshots/') else 'screenshots/' + url
+shots = meta.get('screenshots') or []
+declared = bool(shots)
+if not shots and os.path.isdir(os.path.join(d, 'screenshots')):
+    shots = ['screenshots/' + f for f in sorted(os.listdir(os.path.join(d, 'screenshots')))]
+for i, shot in enumerate(shots):
+    rel = local(shot.get('url') if isinstance(shot, dict) else shot)
+    ext = os.path.splitext(rel or '')[1].lower()
+    if ext not in CODECS:
+        continue
+    where = f'metadata.json: screenshots[{i}]' if declared else rel
+    path = os.path.join(d, rel)
+    if not os.path.isfile(path):
+        errs.append(f'{where}: {rel} not found')
+        continue
+    if os.path.getsize(path) > $MAX_VIDEO_SIZE:
+        errs.append(f'{where}: clip is {os.path.getsize(path) / 1048576:.1f} MB, the limit is {$MAX_VIDEO_SIZE // 1048576} MB')
+    poster = local(shot.get('poster')) if isinstance(shot, dict) else None
+    if poster is None:
+        poster = next((os.path.splitext(rel)[0] + e for e in IMAGE_EXT if os.path.isfile(os.path.join(d, os.path.splitext(rel)[0] + e))), None)
+    if not poster or not poster.lower().endswith(IMAGE_EXT) or not os.path.isfile(os.path.join(d, poster)):
+        errs.append(f'{where}: needs a poster image (poster, or an image named like the clip)')
+    if not '$FFPROBE':
+        errs.append(f'{where}: ffprobe (FFmpeg) is required to check clips')
+        continue
+    r = subprocess.run(['$FFPROBE', '-v', 'error', '-show_entries', 'format=duration:stream=codec_type,codec_name',
+                        '-of', 'json', path], capture_output=True, text=True)
+    try:
+        info = json.loads(r.stdout) if r.returncode == 0 else {}
+    except ValueError:
+        info = {}
+    video = [st.get('codec_name') for st in info.get('streams', []) if st.get('codec_type') == 'video']
+    if not video:
+        errs.append(f'{where}: not a readable video')
+        continue
+    if video[0] not in CODECS[ext]:
+        errs.append(f'{where}: {video[0]} video in {ext} won\'t play in browsers (use {\" or \".join(CODECS[ext])})')
+    duration = float(info.get('format', {}).get('duration') or 0)
+    if duration > $MAX_VIDEO_SECONDS:
+        errs.append(f'{where}: clip runs {duration:.0f}s, the limit is {$MAX_VIDEO_SECONDS}s')
+
+print('\n'.join(errs))
+")"
+  if [[ -n "$content_errors" ]]; then
+    while IFS= read -r line; do
+      fail "$app_dir: $line"
+      ((errors++)) || true
+    done <<< "$content_errors"
   fi
 
   # Check SPK exists
@@ -149,7 +511,13 @@ fi
 # Collect all app entries as JSON lines (one per line) in a temp file
 # Using a file avoids bash variable expansion mangling \n escapes in JSON strings
 APP_JSON_FILE="$(mktemp)"
-trap 'rm -f "$APP_JSON_FILE"' EXIT
+CATALOG_FILE="$(mktemp)"
+REVIEWS_FILE="$(mktemp)"
+PLATFORM_FILE="$(mktemp)"
+RETAINED_FILE="$(mktemp)"   # <repo>\t<blob>\t<packageId> per retained older SPK, for Step 4
+RENDITIONS_DIR="$(mktemp -d)"  # <appId>/<name>.<width>w.webp screenshot renditions, for Step 4
+ICONS_DIR="$(mktemp -d)"       # sanitized icons and their PNG sizes, for Step 4
+trap 'rm -f "$APP_JSON_FILE" "$CATALOG_FILE" "$REVIEWS_FILE" "$PLATFORM_FILE" "$RETAINED_FILE"; rm -rf "$RENDITIONS_DIR" "$ICONS_DIR"' EXIT
 
 for developer_dir in "$PACKAGES_DIR"/*/; do
   [[ -d "$developer_dir" ]] || continue
@@ -177,23 +545,47 @@ for developer_dir in "$PACKAGES_DIR"/*/; do
         ok "$developer_name/$repo_name/$app_slug"
       ((VALID++)) || true
 
-      # Determine icon file and generate imageId
-      local_icon=""
-      icon_ext=""
-      if [[ -f "$app_dir/icon.svg" ]]; then
-        local_icon="$app_dir/icon.svg"
-        icon_ext="svg"
-      elif [[ -f "$app_dir/icon.png" ]]; then
-        local_icon="$app_dir/icon.png"
-        icon_ext="png"
+      # imageId is the md5 of the (sanitized) icon staged by validate_metadata.
+      # PNG renditions at ICON_SIZES are rendered with rsvg-convert (librsvg);
+      # PNG icons go through it too, wrapped in an <svg><image>, and are never
+      # scaled up.
+      image_id="$APP_ICON_ID"
+      icon_sizes="[]"
+      if [[ -n "$image_id" && -n "$RSVG" ]] && ! $DRY_RUN; then
+        icon_sizes="$(python3 -c "
+import base64, json, os, struct, subprocess, tempfile
+
+src = os.path.join('$ICONS_DIR', '$image_id')
+stem, ext = os.path.splitext('$image_id')
+limit = None
+if ext == '.png':
+    data = open(src, 'rb').read()
+    w, h = struct.unpack('>II', data[16:24])
+    limit = max(w, h)
+    wrapper = tempfile.NamedTemporaryFile('w', suffix='.svg', delete=False)
+    wrapper.write(f'<svg xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\" '
+                  f'width=\"{w}\" height=\"{h}\" viewBox=\"0 0 {w} {h}\"><image width=\"{w}\" height=\"{h}\" '
+                  f'xlink:href=\"data:image/png;base64,{base64.b64encode(data).decode()}\"/></svg>')
+    wrapper.close()
+    src = wrapper.name
+icons = []
+for size in sorted({int(s) for s in '$ICON_SIZES'.split()}):
+    if limit and size > limit:
+        continue
+    name = f'{stem}-{size}.png'
+    r = subprocess.run(['$RSVG', '-w', str(size), '-h', str(size), '--keep-aspect-ratio',
+                        '-o', os.path.join('$ICONS_DIR', name), src], capture_output=True)
+    if r.returncode == 0:
+        icons.append({'size': size, 'imageId': name})
+if limit:
+    os.unlink(src)
+print(json.dumps(icons))
+")"
       fi
 
-      # Generate a stable imageId from md5 of the icon content
-      if [[ -n "$local_icon" ]]; then
-        image_hash="$(md5sum "$local_icon" | cut -d' ' -f1)"
-        image_id="${image_hash}.${icon_ext}"
-      else
-        image_id=""
+      # Release history comes from the submodule's publish-branch commits
+      if [[ "$(git -C "$repo_dir" rev-parse --is-shallow-repository 2>/dev/null)" == "true" ]]; then
+        warn "$repo_dir is a shallow clone — version history will be incomplete (git fetch --unshallow)"
       fi
 
       # Build the JSON entry, injecting the computed imageId
@@ -213,8 +605,12 @@ m['author'] = author
 if not isinstance(m.get('categories'), list):
     m['categories'] = []
 
-# Set imageId from icon hash
+# Set imageId from icon hash, plus PNG renditions [{ size, imageId }]
 m['imageId'] = '$image_id'
+m['icons'] = json.loads('$icon_sizes')
+
+# Developer namespace (packages/<developer>/...) for the store's facet filter
+m['developer'] = '$developer_name'
 
 # Ensure createdAt is an int
 if isinstance(m.get('createdAt'), float):
@@ -228,6 +624,8 @@ import os
 spk_path = os.path.join(os.path.dirname('$meta_file'), 'app.spk')
 if os.path.isfile(spk_path) and os.path.getsize(spk_path) > $MAX_SPK_SIZE:
     m['packageUrl'] = '$RELEASES_BASE/' + m.get('packageId', '')
+if os.path.isfile(spk_path):
+    m['packageSize'] = os.path.getsize(spk_path)
 
 m.setdefault('description', '')
 if not m['description']:
@@ -235,25 +633,241 @@ if not m['description']:
     if os.path.isfile(desc_md):
         m['description'] = open(desc_md).read().strip()
 
+# Extended content from the app repo (validated above): docs, FAQ, changelog, fees
+# (or seeded under app-content/<appId>/ when the app repo has no such file)
+app_root = os.path.dirname('$meta_file')
+seed = os.path.join('$CONTENT_SEED_DIR', m['appId'])
+def content(name):
+    own = os.path.join(app_root, name)
+    return own if os.path.isfile(own) or not os.path.isfile(os.path.join(seed, name)) else os.path.join(seed, name)
+def read_json(name, default):
+    p = content(name)
+    return json.load(open(p, encoding='utf-8')) if os.path.isfile(p) else default
+docs_md = content('docs.md')
+m['docs'] = open(docs_md, encoding='utf-8').read().strip() if os.path.isfile(docs_md) else ''
+m['faq'] = read_json('faq.json', [])
+m['fees'] = m['fees'] if 'fees' in m else read_json('fees.json', [])
+
+# Version history: every publish-branch commit that changed metadata.json's
+# versionNumber is a release, dated by the commit. Release notes come from
+# CHANGELOG.md (## [1.2.0] - YYYY-MM-DD sections), or the older changelog.json.
+import re, subprocess, datetime
+def git(*args):
+    r = subprocess.run(['git', '-C', app_root, *args], capture_output=True, text=True)
+    return r.stdout.strip() if r.returncode == 0 else ''
+
+notes = {}
+changelog_md = content('CHANGELOG.md')
+if os.path.isfile(changelog_md):
+    current = None
+    for line in open(changelog_md, encoding='utf-8'):
+        h = re.match(r'##\s+\[?v?(\d[^\]\s]*)\]?', line)
+        if h:
+            current = notes.setdefault(h.group(1), [])
+        elif line.startswith('## '):
+            current = None
+        elif current is not None and re.match(r'\s{0,3}[-*+]\s+\S', line) and not line.startswith(('  ', '\t')):
+            current.append(re.sub(r'^\s*[-*+]\s+', '', line).strip())
+else:
+    for it in read_json('changelog.json', []):
+        notes[it['version'].lstrip('v')] = it.get('changes', [])
+
+remote = git('config', '--get', 'remote.origin.url')
+web = re.sub(r'^git@github\.com:', 'https://github.com/', remote)
+web = re.sub(r'\.git$', '', web) if web.startswith('https://github.com/') else ''
+
+top = git('rev-parse', '--show-toplevel')
+rel = os.path.relpath(os.path.abspath('$meta_file'), top) if top else ''
+spk_rel = os.path.join(os.path.dirname(rel), 'app.spk')
+releases = []
+for line in git('log', '--first-parent', '--reverse', '--format=%H %cs', '--', ':(top)' + rel, ':(top)' + spk_rel).splitlines() if rel else []:
+    sha, date = line.split()
+    try:
+        old = json.loads(git('show', f'{sha}:{rel}'))
+    except ValueError:
+        continue
+    # A release's package is the last one published under its versionNumber
+    pkg = {'packageId': old.get('packageId', ''), 'blob': git('rev-parse', '--verify', '--quiet', f'{sha}:{spk_rel}')}
+    if releases and releases[-1]['versionNumber'] == old.get('versionNumber'):
+        releases[-1]['_pkg'] = pkg
+        continue
+    releases.append({'version': str(old.get('version', '')), 'versionNumber': old.get('versionNumber'), 'date': date,
+                     'commit': sha[:12], 'commitUrl': f'{web}/commit/{sha}' if web else '', '_pkg': pkg})
+# Not committed yet (or no git at all): the working-tree metadata is the newest release
+if not releases or releases[-1]['versionNumber'] != m['versionNumber']:
+    ts = int(m.get('createdAt', 0))
+    created = datetime.datetime.fromtimestamp(ts / 1000 if ts > 1e11 else ts, datetime.timezone.utc)  # ms or s
+    releases.append({'version': str(m['version']), 'versionNumber': m['versionNumber'],
+                     'date': created.strftime('%Y-%m-%d'), 'commit': '', 'commitUrl': ''})
+for r in releases:
+    r['changes'] = notes.get(r['version'].lstrip('v'), [])
+releases.reverse()
+
+# Packages kept for pinned installs. Sandstorm checks that packageId is the
+# first 32 hex digits of the SPK's SHA-256, so mismatches can't be offered.
+import hashlib
+def spk_digest(blob=None, path=None):
+    src = open(path, 'rb') if path else subprocess.Popen(['git', '-C', app_root, 'cat-file', 'blob', blob], stdout=subprocess.PIPE).stdout
+    h, n = hashlib.sha256(), 0
+    with src:
+        for chunk in iter(lambda: src.read(1 << 20), b''):
+            h.update(chunk)
+            n += len(chunk)
+            if n < 200 and chunk.startswith(b'version https://git-lfs'):
+                return None, 0  # LFS pointer, not a package
+    return h.hexdigest(), n
+
+m['packages'] = []
+kept_bytes = 0
+for r in releases:
+    pkg = r.pop('_pkg', None)
+    if len(m['packages']) >= $KEEP_VERSIONS:
+        continue
+    if r['versionNumber'] == m['versionNumber'] and os.path.isfile(spk_path):
+        digest, size = spk_digest(path=spk_path)
+        entry = {'packageId': m['packageId']}
+        if m.get('packageUrl'):
+            entry['packageUrl'] = m['packageUrl']
+    # Old metadata without a well-formed packageId has nowhere to be served from
+    elif pkg and pkg['blob'] and re.fullmatch(r'[0-9a-f]{32}', str(pkg['packageId'])) and pkg['packageId'] != m['packageId']:
+        digest, size = spk_digest(blob=pkg['blob'])
+        if not digest or size > $MAX_SPK_SIZE or kept_bytes + size > $KEEP_BYTES:
+            continue
+        if not digest.startswith(pkg['packageId']):
+            print(f\"${YELLOW}[WARN]${NC}  {m['appId']}: v{r['version']} app.spk does not hash to its packageId — not retained\", file=sys.stderr)
+            continue
+        entry = {'packageId': pkg['packageId']}
+        kept_bytes += size
+        with open('$RETAINED_FILE', 'a') as f:
+            f.write(f\"{app_root}\\t{pkg['blob']}\\t{pkg['packageId']}\\n\")
+    else:
+        continue
+    m['packages'].append({'version': r['version'], 'versionNumber': r['versionNumber'], **entry, 'sha256': digest, 'size': size})
+m['changelog'] = releases
+
 # Screenshots: pass through from metadata, or auto-discover from screenshots/ dir
-# Supports both {url, caption} objects and plain filename strings
+# Supports both {url, caption} objects and plain filename strings. A clip
+# (.mp4/.webm) found in the dir takes the image with the same name as poster.
+IMAGE_EXT = ('.png', '.jpg', '.jpeg', '.gif', '.webp')
+VIDEO_EXT = ('.mp4', '.webm')
+def local(url):
+    if not isinstance(url, str) or not url or re.match(r'[a-zA-Z][a-zA-Z0-9+.-]*:|//', url):
+        return None
+    return url if url.startswith('screenshots/') else 'screenshots/' + url
+def same_stem_poster(rel):
+    stem = os.path.splitext(rel)[0]
+    return next((stem + e for e in IMAGE_EXT if os.path.isfile(os.path.join(app_root, stem + e))), None)
+
 if 'screenshots' not in m or not m['screenshots']:
     ss_dir = os.path.join(os.path.dirname('$meta_file'), 'screenshots')
     if os.path.isdir(ss_dir):
-        shots = sorted([f for f in os.listdir(ss_dir) if f.lower().endswith(('.png','.jpg','.jpeg','.gif','.webp'))])
-        m['screenshots'] = [{'url': 'screenshots/' + f, 'caption': ''} for f in shots]
+        shots = sorted([f for f in os.listdir(ss_dir) if f.lower().endswith(IMAGE_EXT + VIDEO_EXT)])
+        posters = {same_stem_poster('screenshots/' + f) for f in shots if f.lower().endswith(VIDEO_EXT)}
+        m['screenshots'] = [{'url': 'screenshots/' + f, 'caption': ''} for f in shots if 'screenshots/' + f not in posters]
     else:
         m['screenshots'] = []
 else:
     # Normalize: if entries are plain strings, wrap them
+    # A caption may be a {lang: text} map; keep English (or the first entry)
+    # as the plain caption and the full map as captions
     norm = []
     for s in m['screenshots']:
         if isinstance(s, str):
             norm.append({'url': s, 'caption': ''})
+        elif isinstance(s.get('caption'), dict):
+            caps = s['caption']
+            norm.append({**s, 'caption': caps.get('en') or next(iter(caps.values()), ''), 'captions': caps})
         else:
             norm.append(s)
     m['screenshots'] = norm
 
+# Screenshot dimensions (so the store can reserve space before loading) and
+# WebP renditions at each of SCREENSHOT_WIDTHS, never wider than the original.
+# GIFs keep only their original so animations survive. Dry runs skip encoding.
+# Clips become { type: video, duration, poster: <described image> }.
+import struct
+def image_size(path):
+    with open(path, 'rb') as f:
+        head = f.read(30)
+        if head[:8] == b'\x89PNG\r\n\x1a\n' and len(head) >= 24:
+            return struct.unpack('>II', head[16:24])
+        if head[:6] in (b'GIF87a', b'GIF89a') and len(head) >= 10:
+            return struct.unpack('<HH', head[6:10])
+        if head[:4] == b'RIFF' and head[8:12] == b'WEBP' and len(head) == 30:
+            kind = head[12:16]
+            if kind == b'VP8 ':
+                w, h = struct.unpack('<HH', head[26:30])
+                return w & 0x3fff, h & 0x3fff
+            if kind == b'VP8L':
+                b = int.from_bytes(head[21:25], 'little')
+                return (b & 0x3fff) + 1, ((b >> 14) & 0x3fff) + 1
+            if kind == b'VP8X':
+                return int.from_bytes(head[24:27], 'little') + 1, int.from_bytes(head[27:30], 'little') + 1
+            return None
+        if head[:2] != b'\xff\xd8':
+            return None
+        f.seek(2)
+        while True:
+            marker = f.read(2)
+            if len(marker) < 2 or marker[0] != 0xff:
+                return None
+            if marker[1] in (0xd8, 0x01) or 0xd0 <= marker[1] <= 0xd7:
+                continue
+            length = f.read(2)
+            if len(length) < 2:
+                return None
+            seg = struct.unpack('>H', length)[0]
+            if 0xc0 <= marker[1] <= 0xcf and marker[1] not in (0xc4, 0xc8, 0xcc):
+                sof = f.read(5)
+                return struct.unpack('>xHH', sof)[::-1] if len(sof) == 5 else None
+            f.seek(seg - 2, 1)
+
+widths = sorted({int(w) for w in '$SCREENSHOT_WIDTHS'.split()})
+out_dir = os.path.join('$RENDITIONS_DIR', m.get('appId', ''))
+def describe(rel):
+    path = os.path.join(app_root, rel)
+    size = image_size(path) if os.path.isfile(path) else None
+    if not size:
+        return None
+    out = {'url': rel, 'width': size[0], 'height': size[1]}
+    if '$DRY_RUN' == 'true' or not '$CWEBP' or rel.lower().endswith('.gif'):
+        return out
+    stem = os.path.splitext(rel[len('screenshots/'):])[0]
+    renditions = []
+    for w in sorted({min(w, size[0]) for w in widths}):
+        h = max(1, round(size[1] * w / size[0]))
+        name = f'{stem}.{w}w.webp'
+        os.makedirs(os.path.dirname(os.path.join(out_dir, name)), exist_ok=True)
+        r = subprocess.run(['$CWEBP', '-quiet', '-q', '80', '-resize', str(w), str(h), path, '-o', os.path.join(out_dir, name)], capture_output=True)
+        if r.returncode == 0:
+            renditions.append({'url': 'screenshots/' + name, 'width': w, 'height': h})
+        else:
+            print(f'cwebp failed on {rel}: {r.stderr.decode(errors=\"replace\").strip()}', file=sys.stderr)
+    if renditions:
+        out['renditions'] = renditions
+    return out
+
+def clip_info(rel):
+    r = subprocess.run(['$FFPROBE', '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'format=duration:stream=width,height',
+                        '-of', 'json', os.path.join(app_root, rel)], capture_output=True, text=True) if '$FFPROBE' else None
+    if not r or r.returncode:
+        return {}
+    info = json.loads(r.stdout)
+    stream = (info.get('streams') or [{}])[0]
+    return {'width': stream.get('width'), 'height': stream.get('height'),
+            'duration': round(float(info.get('format', {}).get('duration') or 0), 1)}
+
+for s in m['screenshots']:
+    rel = local(s.get('url'))
+    if not rel:
+        continue
+    if rel.lower().endswith(VIDEO_EXT):
+        poster = local(s.get('poster')) or same_stem_poster(rel)
+        s.update({'url': rel, 'type': 'video', **clip_info(rel)})
+        s['poster'] = (describe(poster) if poster else None) or poster
+    else:
+        s.update(describe(rel) or {})
+
 print(json.dumps(m, separators=(',', ':')))
 ")"
 
@@ -265,6 +879,214 @@ print(json.dumps(m, separators=(',', ':')))
   done
 done
 
+# --- Step 1a: Validate store reviews -----------------------------------------
+# Reviews live in this repo, one file per app: reviews/<appId>.json holds a list
+# of { author, rating, date, title?, text, version?, signature? }. A signature
+# is an ASCII-armored detached PGP signature over the review's canonical JSON
+# (sorted keys, no whitespace, without the signature field) made with the key
+# in reviews/keys/<author>.asc. Valid reviews are aggregated for Step 1c.
+if [[ -d "$REVIEWS_DIR" ]]; then
+  info "Validating reviews in $REVIEWS_DIR/..."
+  review_errors="$(python3 -c "
+import datetime, glob, json, os, re, shutil, subprocess, tempfile
+
+known = set()
+with open('$APP_JSON_FILE') as f:
+    for line in f:
+        if line.strip():
+            known.add(json.loads(line)['appId'])
+
+HANDLE = re.compile(r'[A-Za-z0-9_][A-Za-z0-9_.-]{1,38}')
+today = datetime.date.today()
+errs, out = [], {}
+gpg = shutil.which('gpg')
+
+def canonical(r):
+    body = {k: v for k, v in r.items() if k != 'signature'}
+    return json.dumps(body, sort_keys=True, separators=(',', ':'), ensure_ascii=False).encode()
+
+def verify(author, r):
+    key = os.path.join('$REVIEWS_DIR', 'keys', author + '.asc')
+    if not os.path.isfile(key):
+        return f'no key for {author} (expected {key})'
+    if not gpg:
+        return 'gpg is required to verify signed reviews'
+    with tempfile.TemporaryDirectory() as home:
+        sig, data = os.path.join(home, 'review.asc'), os.path.join(home, 'review.json')
+        open(sig, 'w').write(r['signature'])
+        open(data, 'wb').write(canonical(r))
+        run = lambda *a: subprocess.run([gpg, '--batch', '--homedir', home, *a], capture_output=True)
+        if run('--import', key).returncode or run('--verify', sig, data).returncode:
+            return 'signature does not verify'
+    return None
+
+for path in sorted(glob.glob(os.path.join('$REVIEWS_DIR', '*.json'))):
+    name = os.path.basename(path)
+    app_id = name[:-len('.json')]
+    if app_id not in known:
+        errs.append(f'{name}: no app with appId {app_id} in the catalog')
+        continue
+    try:
+        items = json.load(open(path, encoding='utf-8'))
+    except Exception as e:
+        errs.append(f'{name}: not valid JSON ({e})')
+        continue
+    if not isinstance(items, list):
+        errs.append(f'{name}: must be a list of reviews')
+        continue
+    seen, good = set(), []
+    for i, r in enumerate(items):
+        where = f'{name}[{i}]'
+        if not isinstance(r, dict):
+            errs.append(f'{where}: must be an object')
+            continue
+        bad = []
+        author = r.get('author')
+        if not isinstance(author, str) or not HANDLE.fullmatch(author):
+            bad.append('author must be a handle (2-39 of A-Z a-z 0-9 _ . -)')
+        elif author.lower() in seen:
+            bad.append(f'{author} already reviewed this app')
+        rating = r.get('rating')
+        if not isinstance(rating, int) or isinstance(rating, bool) or not 1 <= rating <= 5:
+            bad.append('rating must be an integer from 1 to 5')
+        try:
+            if datetime.date.fromisoformat(r.get('date')) > today:
+                bad.append('date is in the future')
+        except (TypeError, ValueError):
+            bad.append('date must be YYYY-MM-DD')
+        if not isinstance(r.get('text'), str) or not r['text'].strip() or len(r['text']) > 4000:
+            bad.append('text must be a non-empty string of at most 4000 characters')
+        if 'title' in r and (not isinstance(r['title'], str) or len(r['title']) > 120):
+            bad.append('title must be a string of at most 120 characters')
+        if 'version' in r and not isinstance(r['version'], str):
+            bad.append('version must be a string')
+        unknown = set(r) - {'author', 'rating', 'date', 'title', 'text', 'version', 'signature'}
+        if unknown:
+            bad.append('unknown field(s) ' + ', '.join(sorted(unknown)))
+        if not bad and 'signature' in r:
+            if not isinstance(r['signature'], str) or 'BEGIN PGP SIGNATURE' not in r['signature']:
+                bad.append('signature must be an ASCII-armored detached PGP signature')
+            else:
+                problem = verify(author, r)
+                if problem:
+                    bad.append(problem)
+        if bad:
+            errs.extend(f'{where}: {b}' for b in bad)
+            continue
+        seen.add(author.lower())
+        entry = {k: r[k] for k in ('author', 'rating', 'date', 'title', 'text', 'version') if k in r}
+        entry['verified'] = 'signature' in r
+        good.append(entry)
+    good.sort(key=lambda r: r['date'], reverse=True)
+    out[app_id] = good
+
+with open('$REVIEWS_FILE', 'w') as f:
+    json.dump(out, f)
+print('\n'.join(errs))
+")"
+  if [[ -n "$review_errors" ]]; then
+    while IFS= read -r line; do
+      fail "$REVIEWS_DIR/$line"
+      ((ERRORS++)) || true
+    done <<< "$review_errors"
+  fi
+fi
+
+# --- Step 1b: Validate platform plans ----------------------------------------
+# plans.json describes the pBay hosting tiers once for the whole store:
+# { currency, period, featured?, plans: [{ tier, price, storageGB, grains }],
+#   notes?: { payment, grains, storage, ipfs } }. grains null means unlimited.
+# Tiers must be listed cheapest first with non-decreasing limits, so the first
+# tier that fits a workload is also the cheapest one (the Fees tab calculator
+# relies on this).
+if [[ -f "$PLANS_FILE" ]]; then
+  info "Validating $PLANS_FILE..."
+  plan_errors="$(python3 -c "
+import json
+
+errs = []
+def num(v):
+    return isinstance(v, (int, float)) and not isinstance(v, bool)
+def text(v):
+    return isinstance(v, str) and v.strip() != ''
+
+try:
+    p = json.load(open('$PLANS_FILE', encoding='utf-8'))
+except Exception as e:
+    p = None
+    errs.append(f'not valid JSON ({e})')
+
+if p is not None and not isinstance(p, dict):
+    errs.append('must be an object with currency, period and plans')
+elif p is not None:
+    unknown = set(p) - {'currency', 'period', 'featured', 'plans', 'notes'}
+    if unknown:
+        errs.append('unknown field(s) ' + ', '.join(sorted(unknown)))
+    if not text(p.get('currency')):
+        errs.append('currency must be a non-empty string (e.g. SOL)')
+    if p.get('period') not in ('month', 'year'):
+        errs.append('period must be month or year')
+    plans = p.get('plans')
+    if not isinstance(plans, list) or not plans:
+        errs.append('plans must be a non-empty list')
+        plans = []
+    tiers, prev = set(), None
+    for i, pl in enumerate(plans):
+        where = f'plans[{i}]'
+        if not isinstance(pl, dict):
+            errs.append(f'{where}: must be an object')
+            continue
+        bad = []
+        if not text(pl.get('tier')):
+            bad.append('tier must be a non-empty string')
+        elif pl['tier'] in tiers:
+            bad.append(f'tier {pl[\"tier\"]} is listed twice')
+        if not num(pl.get('price')) or pl['price'] < 0:
+            bad.append('price must be a number >= 0')
+        if not num(pl.get('storageGB')) or pl['storageGB'] <= 0:
+            bad.append('storageGB must be a number > 0')
+        g = pl.get('grains', 0)
+        if g is not None and (not isinstance(g, int) or isinstance(g, bool) or g <= 0):
+            bad.append('grains must be a positive integer, or null for unlimited')
+        unknown = set(pl) - {'tier', 'price', 'storageGB', 'grains'}
+        if unknown:
+            bad.append('unknown field(s) ' + ', '.join(sorted(unknown)))
+        if bad:
+            errs.extend(f'{where}: {b}' for b in bad)
+            continue
+        tiers.add(pl['tier'])
+        if prev and (pl['price'] < prev['price'] or pl['storageGB'] < prev['storageGB']
+                     or (prev['grains'] is None and g is not None)
+                     or (g is not None and g < prev['grains'])):
+            errs.append(f'{where}: tiers must be ordered cheapest first with non-decreasing storage and grains')
+        prev = pl
+    if 'featured' in p and p['featured'] not in tiers:
+        errs.append('featured must name one of the tiers')
+    notes = p.get('notes', {})
+    if not isinstance(notes, dict):
+        errs.append('notes must be an object')
+    else:
+        for k, v in notes.items():
+            if k not in ('payment', 'grains', 'storage', 'ipfs'):
+                errs.append(f'notes.{k} is not a known note (payment, grains, storage, ipfs)')
+            elif not text(v):
+                errs.append(f'notes.{k} must be a non-empty string')
+
+if not errs:
+    with open('$PLATFORM_FILE', 'w') as f:
+        json.dump(p, f)
+print('\n'.join(errs))
+")"
+  if [[ -n "$plan_errors" ]]; then
+    while IFS= read -r line; do
+      fail "$PLANS_FILE: $line"
+      ((ERRORS++)) || true
+    done <<< "$plan_errors"
+  fi
+else
+  warn "No $PLANS_FILE found. The Fees tab will show app fees only."
+fi
+
 echo ""
 info "Scan complete: $TOTAL apps found, $VALID valid, $ERRORS errors"
 
@@ -282,13 +1104,12 @@ if [[ "$VALID" -eq 0 ]]; then
   warn "No valid apps found in $PACKAGES_DIR/. Building with empty catalog."
 fi
 
-# --- Step 2: Build Vite frontend (unless --aggregate) -------------------------
-if ! $AGGREGATE_ONLY; then
-  info "Generating src/apps.json from submodule metadata..."
-
-  # Build the apps.json that Vite will bundle
-  python3 -c "
-import json
+# --- Step 1c: Assemble the catalog -------------------------------------------
+# One catalog feeds both apps/index.json (fetched by the store at runtime) and
+# src/apps.json (bundled offline fallback). The revision is a content hash so
+# the frontend can tell when a newer index has been published.
+python3 -c "
+import json, hashlib, datetime, os
 
 apps = []
 with open('$APP_JSON_FILE') as f:
@@ -297,14 +1118,39 @@ with open('$APP_JSON_FILE') as f:
         if line:
             apps.append(json.loads(line))
 
+# Store reviews (validated in Step 1a) plus a summary for sorting and histograms;
+# histogram[i] counts (i + 1)-star ratings
+reviews = json.load(open('$REVIEWS_FILE')) if os.path.getsize('$REVIEWS_FILE') else {}
+for a in apps:
+    rv = reviews.get(a['appId'], [])
+    hist = [sum(1 for r in rv if r['rating'] == s) for s in range(1, 6)]
+    a['reviews'] = rv
+    a['rating'] = {
+        'average': round(sum(r['rating'] for r in rv) / len(rv), 2) if rv else 0,
+        'count': len(rv),
+        'histogram': hist,
+    }
+
 apps.sort(key=lambda a: a.get('name', '').lower())
 
-with open('src/apps.json', 'w') as f:
-    json.dump({'apps': apps}, f, indent=2)
+# Platform plans (validated in Step 1b) are shared by every app's Fees tab
+platform = json.load(open('$PLATFORM_FILE')) if os.path.getsize('$PLATFORM_FILE') else None
+
+revision = hashlib.sha256(json.dumps([apps, platform], sort_keys=True).encode()).hexdigest()[:16]
+generated = datetime.datetime.now(datetime.timezone.utc).strftime('%Y-%m-%dT%H:%M:%SZ')
 
-print(f'  Wrote {len(apps)} apps to src/apps.json')
+with open('$CATALOG_FILE', 'w') as f:
+    json.dump({'revision': revision, 'generatedAt': generated, 'platform': platform, 'apps': apps}, f, indent=2)
 "
 
+# --- Step 2: Build Vite frontend (unless --aggregate) -------------------------
+if ! $AGGREGATE_ONLY; then
+  info "Generating src/apps.json from submodule metadata..."
+
+  # The bundled copy is only a fallback for when apps/index.json is unreachable
+  cp "$CATALOG_FILE" src/apps.json
+  echo "  Wrote $(python3 -c "import json; print(len(json.load(open('$CATALOG_FILE'))['apps']))") apps to src/apps.json"
+
   info "Running Vite build..."
   npm install --silent 2>/dev/null
   npx vite build 2>&1 | grep -v "^$"
@@ -321,6 +1167,8 @@ mkdir -p "$IMAGES_OUT" "$PACKAGES_OUT" "$APPS_OUT" "$OUTPUT_DIR/assets" "$OUTPUT
 if [[ -d "dist" ]]; then
   cp dist/index.html "$OUTPUT_DIR/index.html"
   cp dist/assets/* "$OUTPUT_DIR/assets/"
+  # generated by the build with this build's precache list (vite.config.js)
+  cp dist/sw.js "$OUTPUT_DIR/sw.js"
 else
   fail "No dist/ directory. Run without --aggregate first."
   exit 1
@@ -332,7 +1180,6 @@ if [[ -d "public/icons" ]]; then
   echo "  Copied PWA icons"
 fi
 [[ -f "public/manifest.json" ]] && cp public/manifest.json "$OUTPUT_DIR/manifest.json" && echo "  Copied manifest.json"
-[[ -f "public/sw.js" ]] && cp public/sw.js "$OUTPUT_DIR/sw.js" && echo "  Copied sw.js"
 
 # Copy verifier
 if [[ -f "$VERIFIER_SRC/index.html" ]]; then
@@ -345,9 +1192,13 @@ touch "$OUTPUT_DIR/.nojekyll"
 # --- Step 4: Copy icons and SPKs from submodules -----------------------------
 info "Copying icons and packages from submodules..."
 
-ICON_COUNT=0
 SPK_COUNT=0
 
+# Icons were sanitized and rasterized into ICONS_DIR while scanning (Step 1)
+# (<md5>.svg|png originals, <md5>-<size>.png renditions)
+ICON_COUNT="$(find "$ICONS_DIR" -maxdepth 1 -type f ! -name '*-*.png' | wc -l)"
+cp -r "$ICONS_DIR/." "$IMAGES_OUT/"
+
 for developer_dir in "$PACKAGES_DIR"/*/; do
   [[ -d "$developer_dir" ]] || continue
 
@@ -360,17 +1211,6 @@ for developer_dir in "$PACKAGES_DIR"/*/; do
       meta_file="$app_dir/metadata.json"
       [[ -f "$meta_file" ]] || continue
 
-      # Copy icon
-      if [[ -f "$app_dir/icon.svg" ]]; then
-        icon_hash="$(md5sum "$app_dir/icon.svg" | cut -d' ' -f1)"
-        cp "$app_dir/icon.svg" "$IMAGES_OUT/${icon_hash}.svg"
-        ((ICON_COUNT++)) || true
-      elif [[ -f "$app_dir/icon.png" ]]; then
-        icon_hash="$(md5sum "$app_dir/icon.png" | cut -d' ' -f1)"
-        cp "$app_dir/icon.png" "$IMAGES_OUT/${icon_hash}.png"
-        ((ICON_COUNT++)) || true
-      fi
-
       # Copy SPK (named by packageId for Sandstorm install URL compatibility)
       if [[ -f "$app_dir/app.spk" ]]; then
         pkg_id="$(python3 -c "import json; print(json.load(open('$meta_file'))['packageId'])")"
@@ -387,35 +1227,43 @@ for developer_dir in "$PACKAGES_DIR"/*/; do
       if [[ -d "$app_dir/screenshots" ]]; then
         app_id="$(python3 -c "import json; print(json.load(open('$meta_file'))['appId'])")"
         mkdir -p "$OUTPUT_DIR/screenshots/$app_id"
-        for shot in "$app_dir"/screenshots/*.{png,jpg,jpeg,gif,webp}; do
+        for shot in "$app_dir"/screenshots/*.{png,jpg,jpeg,gif,webp,mp4,webm}; do
           [[ -f "$shot" ]] && cp "$shot" "$OUTPUT_DIR/screenshots/$app_id/"
         done
+        # WebP renditions made while scanning (Step 1)
+        if [[ -d "$RENDITIONS_DIR/$app_id" ]]; then
+          cp -r "$RENDITIONS_DIR/$app_id/." "$OUTPUT_DIR/screenshots/$app_id/"
+        fi
+      fi
+
+      # Copy Markdown assets (images/files referenced from docs, FAQ, description)
+      if [[ -d "$app_dir/assets" ]]; then
+        app_id="$(python3 -c "import json; print(json.load(open('$meta_file'))['appId'])")"
+        mkdir -p "$OUTPUT_DIR/content/$app_id"
+        cp -r "$app_dir/assets" "$OUTPUT_DIR/content/$app_id/"
       fi
     done
   done
 done
 
-info "Copied $ICON_COUNT icons, $SPK_COUNT SPK packages"
+# Previous releases kept under the retention policy, straight from submodule history
+OLD_SPK_COUNT=0
+while IFS=$'\t' read -r repo blob pkg_id; do
+  [[ -n "$blob" ]] || continue
+  git -C "$repo" cat-file blob "$blob" > "$PACKAGES_OUT/$pkg_id"
+  ((OLD_SPK_COUNT++)) || true
+done < "$RETAINED_FILE"
+
+info "Copied $ICON_COUNT icons, $SPK_COUNT SPK packages (+$OLD_SPK_COUNT previous versions)"
 
 # --- Step 5: Write apps/index.json -------------------------------------------
 info "Writing $APPS_OUT/index.json..."
 
+cp "$CATALOG_FILE" "$APPS_OUT/index.json"
 python3 -c "
 import json
-
-apps = []
-with open('$APP_JSON_FILE') as f:
-    for line in f:
-        line = line.strip()
-        if line:
-            apps.append(json.loads(line))
-
-apps.sort(key=lambda a: a.get('name', '').lower())
-
-with open('$APPS_OUT/index.json', 'w') as f:
-    json.dump({'apps': apps}, f, indent=2)
-
-print(f'  Wrote {len(apps)} apps to $APPS_OUT/index.json')
+c = json.load(open('$APPS_OUT/index.json'))
+print(f\"  Wrote {len(c['apps'])} apps to $APPS_OUT/index.json (revision {c['revision']})\")
 "
 
 # --- Step 6: Package Sandstorm binary update ---------------------------------
@@ -1,70 +0,0 @@
-const CACHE_NAME = 'melusina-market-v1';
-const BASE = '/melusina-static-store/';
-
-const PRECACHE_URLS = [
-  BASE,
-  BASE + 'index.html',
-  BASE + 'icons/melulogo.svg',
-  BASE + 'icons/melulogo-192.png',
-  BASE + 'icons/melulogo-512.png',
-  BASE + 'manifest.json',
-];
-
-// Install — precache shell
-self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(PRECACHE_URLS);
-    }).then(() => self.skipWaiting())
-  );
-});
-
-// Activate — clean old caches
-self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    caches.keys().then((keys) =>
-      Promise.all(
-        keys
-          .filter((key) => key !== CACHE_NAME)
-          .map((key) => caches.delete(key))
-      )
-    ).then(() => self.clients.claim())
-  );
-});
-
-// Fetch — network-first with cache fallback
-self.addEventListener('fetch', (event) => {
-  const { request } = event;
-
-  // Skip non-GET
-  if (request.method !== 'GET') return;
-
-  // For navigation requests, try network first
-  if (request.mode === 'navigate') {
-    event.respondWith(
-      fetch(request)
-        .then((response) => {
-          const clone = response.clone();
-          caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
-          return response;
-        })
-        .catch(() => caches.match(request).then((r) => r || caches.match(BASE + 'index.html')))
-    );
-    return;
-  }
-
-  // For assets: stale-while-revalidate
-  event.respondWith(
-    caches.match(request).then((cached) => {
-      const networkFetch = fetch(request).then((response) => {
-        if (response && response.status === 200) {
-          const clone = response.clone();
-          caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
-        }
-        return response;
-      }).catch(() => cached);
-
-      return cached || networkFetch;
-    })
-  );
-});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+//
+// mock-sandstorm.mjs — Minimal stand-in for a Sandstorm shell, for exercising
+// the store's server probe (HostBar) without a real server.
+//
+// Usage:
+//   node scripts/mock-sandstorm.mjs                 # Melusina build 0 on :6080, CORS open
+//   node scripts/mock-sandstorm.mjs --port 7000 --build 214 --vanilla
+//   node scripts/mock-sandstorm.mjs --no-cors       # reachable but unverifiable
+//   node scripts/mock-sandstorm.mjs --not-sandstorm # some other web server
+//   node scripts/mock-sandstorm.mjs --base /sandstorm --host ::1
+//
+// Then add http://localhost:6080 (or http://[::1]:6080/sandstorm) in CONNECT.
+//
+import http from "node:http";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(`--${name}`);
+const opt = (name, def) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : def;
+};
+
+const port = Number(opt("port", 6080));
+const host = opt("host", "localhost");
+const build = Number(opt("build", 0));
+const base = opt("base", "").replace(/\/+$/, "");
+const cors = !flag("no-cors");
+const product = flag("vanilla") ? "Sandstorm" : "Melusina Sandstorm";
+
+const runtimeConfig = encodeURIComponent(JSON.stringify({
+  ROOT_URL: `http://${host.includes(":") ? `[${host}]` : host}:${port}${base}`,
+  PUBLIC_SETTINGS: { build, kernelTooOld: false },
+}));
+
+const shell = `<!doctype html>
+<html><head><title>${product}</title>
+<script>__meteor_runtime_config__ = JSON.parse(decodeURIComponent("${runtimeConfig}"))</script>
+</head><body>${product}</body></html>`;
+
+const other = "<!doctype html><html><head><title>It works!</title></head><body>nginx</body></html>";
+
+http.createServer((req, res) => {
+  const path = req.url.split("?")[0];
+  const headers = { "Content-Type": "text/html; charset=utf-8" };
+  if (cors) headers["Access-Control-Allow-Origin"] = "*";
+  if (path === `${base}/` || path === base) {
+    res.writeHead(200, headers);
+    res.end(flag("not-sandstorm") ? other : shell);
+  } else if (path.startsWith(`${base}/install/`)) {
+    res.writeHead(200, headers);
+    res.end(`<p>Would install ${path.slice(base.length + 9)}</p>`);
+  } else {
+    res.writeHead(404, headers);
+    res.end("not found");
+  }
+}).listen(port, host, () => {
+  console.log(`mock ${product} build ${build} on ${host}:${port}${base || "/"} (CORS ${cors ? "open" : "closed"})`);
+});
@@ -1,27 +1,165 @@
 import React, { useEffect, useMemo, useState, useCallback } from "react";
 import { createRoot } from "react-dom/client";
 import { format } from "date-fns";
-import data from "./apps.json";
+import { de as deDates, enUS, fr as frDates } from "date-fns/locale";
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import cssLang from "highlight.js/lib/languages/css";
+import diff from "highlight.js/lib/languages/diff";
+import dockerfile from "highlight.js/lib/languages/dockerfile";
+import golang from "highlight.js/lib/languages/go";
+import ini from "highlight.js/lib/languages/ini";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import python from "highlight.js/lib/languages/python";
+import rust from "highlight.js/lib/languages/rust";
+import sql from "highlight.js/lib/languages/sql";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import yaml from "highlight.js/lib/languages/yaml";
+import bundledCatalog from "./apps.json";
+import en from "./locales/en.json";
+import de from "./locales/de.json";
+import fr from "./locales/fr.json";
 
 const APP_INDEX_BASE = "https://hrbrlife.github.io/melusina-static-store";
 const LOGO_URL = `${APP_INDEX_BASE}/icons/melulogo-cyan.svg`;
+const CATALOG_URL = `${APP_INDEX_BASE}/apps/index.json`;
+const CATALOG_POLL_MS = 5 * 60 * 1000;
+
+/* ─── i18n ─────────────────────────────────────────────────────────────────── */
+
+// Each locale is a flat key → message map in src/locales/. Missing keys fall
+// back to English. Plural forms live under `${key}_${category}` using the
+// Intl.PluralRules categories (grid.apps_one), with the bare key as "other".
+const LOCALES = {
+  en: { label: "English", messages: en, dates: enUS },
+  de: { label: "Deutsch", messages: de, dates: deDates },
+  fr: { label: "Français", messages: fr, dates: frDates },
+};
+const LOCALE_KEY = "locale";
+
+// Best match for a BCP 47 tag among `available`: exact, then base language
+const matchLocale = (tag, available = Object.keys(LOCALES)) => {
+  if (!tag) return null;
+  const want = tag.toLowerCase();
+  return available.find((l) => l.toLowerCase() === want)
+    || available.find((l) => l.toLowerCase() === want.split("-")[0])
+    || null;
+};
+
+const detectLocale = () => {
+  const saved = localStorage.getItem(LOCALE_KEY);
+  if (LOCALES[saved]) return saved;
+  const wanted = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of wanted) {
+    const m = matchLocale(tag);
+    if (m) return m;
+  }
+  return "en";
+};
+
+// Read at render time by t() and fmtDate; App re-renders the tree on change
+let activeLocale = detectLocale();
+
+const lookup = (key, count) => {
+  const table = key in LOCALES[activeLocale].messages ? activeLocale : "en";
+  const msgs = LOCALES[table].messages;
+  if (typeof count === "number") {
+    const form = msgs[`${key}_${new Intl.PluralRules(table).select(count)}`];
+    if (form !== undefined) return form;
+  }
+  return msgs[key];
+};
+
+// t("key", { name }) → string. Values may be React nodes, in which case the
+// result is an array of nodes; `count` picks the plural form and defaults to
+// vars.count.
+function t(key, vars = {}, count = vars.count) {
+  const msg = lookup(key, count) ?? key;
+  if (typeof msg !== "string") return msg;
+  const parts = msg.split(/\{(\w+)\}/);
+  if (parts.length === 1) return msg;
+  const fill = (name) => (name in vars ? vars[name] : `{${name}}`);
+  if (!Object.values(vars).some((v) => v !== null && typeof v === "object")) {
+    return parts.map((p, i) => (i % 2 ? fill(p) : p)).join("");
+  }
+  return parts.map((p, i) => (i % 2 ? <React.Fragment key={i}>{fill(p)}</React.Fragment> : p));
+}
+
+function useLocale() {
+  const [locale, setLocaleState] = useState(activeLocale);
+  useEffect(() => { document.documentElement.lang = locale; }, [locale]);
+  const setLocale = useCallback((l) => {
+    if (!LOCALES[l]) return;
+    activeLocale = l;
+    localStorage.setItem(LOCALE_KEY, l);
+    setLocaleState(l);
+  }, []);
+  return [locale, setLocale];
+}
+
+// metadata.json may carry `locales: { de: { name, shortDescription, description } }`
+const LOCALIZED_FIELDS = ["name", "shortDescription", "description"];
+
+function localizeApp(app, locale) {
+  const tag = app.locales && matchLocale(locale, Object.keys(app.locales));
+  if (!tag) return app;
+  const out = { ...app };
+  LOCALIZED_FIELDS.forEach((f) => {
+    if (typeof app.locales[tag][f] === "string" && app.locales[tag][f]) out[f] = app.locales[tag][f];
+  });
+  return out;
+}
 
 /* ─── helpers ──────────────────────────────────────────────────────────────── */
 
+// Accepts bare hosts, ports, subpaths and IPv6 literals ("fe80::1", "[::1]:6080")
+const parseHost = (h) => {
+  let raw = (h || "").trim();
+  if (!raw) return null;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(raw)) {
+    // An unbracketed IPv6 literal can't carry a port, so bracket it whole
+    if (/^[0-9a-f:.]+$/i.test(raw) && (raw.match(/:/g) || []).length >= 2) raw = `[${raw}]`;
+    raw = `https://${raw}`;
+  }
+  try {
+    const u = new URL(raw);
+    return /^https?:$/.test(u.protocol) && u.hostname ? u : null;
+  } catch {
+    return null;
+  }
+};
+
 const sanitizeHost = (h) => {
   if (!h) return "";
-  const t = h.trim();
-  return (!/^https?:\/\//i.test(t) ? `https://${t}` : t).replace(/\/+$/, "");
+  const u = parseHost(h);
+  if (!u) {
+    const raw = h.trim();
+    return (!/^https?:\/\//i.test(raw) ? `https://${raw}` : raw).replace(/\/+$/, "");
+  }
+  return `${u.protocol}//${u.host}${u.pathname.replace(/\/+$/, "")}`;
 };
 
 const fmtDate = (v) => {
   if (!v) return "—";
   const ts = typeof v === "number" ? v : Date.parse(v);
-  return Number.isNaN(ts) ? String(v) : format(ts, "MMM d, yyyy");
+  return Number.isNaN(ts) ? String(v) : format(ts, "PP", { locale: LOCALES[activeLocale].dates });
+};
+
+const fmtSize = (bytes) => {
+  if (!Number.isFinite(bytes)) return "—";
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 };
 
 const imgUrl = (id) => (id ? `${APP_INDEX_BASE}/images/${id}` : null);
 
+// PNG renditions of the icon ([{ size, imageId }], from build-store.sh)
+const iconSrcSet = (app) => (app.icons || []).map((i) => `${imgUrl(i.imageId)} ${i.size}w`).join(", ");
+
 const screenshotUrl = (appId, shot) => {
   const file = typeof shot === "string" ? shot : shot.url || "";
   if (file.startsWith("screenshots/")) {
@@ -30,8 +168,34 @@ const screenshotUrl = (appId, shot) => {
   return `${APP_INDEX_BASE}/screenshots/${appId}/${file}`;
 };
 
-const shotCaption = (shot) =>
-  typeof shot === "string" ? "" : shot.caption || "";
+// build-store.sh records each screenshot's width/height and, when it could
+// encode them, WebP renditions ({ url, width, height }, narrowest first)
+const shotSrcSet = (appId, shot) =>
+  (shot.renditions || []).map((r) => `${screenshotUrl(appId, r)} ${r.width}w`).join(", ");
+
+// Clips ({ type: "video", duration, poster }) carry their poster image in the
+// same shape as a screenshot; <video poster> takes the smallest rendition that
+// is at least minWidth wide
+const isClip = (shot) => shot?.type === "video";
+
+const posterSrc = (appId, shot, minWidth) => {
+  const p = shot.poster;
+  if (!p) return undefined;
+  if (typeof p === "string") return screenshotUrl(appId, p);
+  return screenshotUrl(appId, (p.renditions || []).find((r) => r.width >= minWidth) || p);
+};
+
+const fmtDuration = (seconds) => {
+  const s = Math.round(seconds || 0);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+// Screenshot captions may be translated via `captions: { de: "…" }`
+const shotCaption = (shot) => {
+  if (typeof shot === "string") return "";
+  const tag = shot.captions && matchLocale(activeLocale, Object.keys(shot.captions));
+  return (tag && shot.captions[tag]) || shot.caption || "";
+};
 
 const installUrl = (host, app) => {
   const h = sanitizeHost(host);
@@ -40,44 +204,671 @@ const installUrl = (host, app) => {
   return `${h}/install/${app.packageId}?url=${encodeURIComponent(pkg)}`;
 };
 
-/* ─── palm beach sunset tokens ────────────────────────────────────────────── */
-
-const T = {
-  bg: "#110e24",
-  bgAlt: "#1a1535",
-  surface: "rgba(24, 18, 52, 0.72)",
-  card: "rgba(28, 22, 58, 0.55)",
-  cardHover: "rgba(42, 32, 78, 0.7)",
-  border: "rgba(192, 132, 252, 0.1)",
-  borderHover: "rgba(0, 229, 255, 0.35)",
-  borderLight: "rgba(192, 132, 252, 0.06)",
-  cyan: "#00e5ff",
-  magenta: "#ff7eb3",
-  green: "#4ade80",
-  purple: "#c084fc",
-  yellow: "#ffd166",
-  coral: "#ff7eb3",
-  peach: "#ffb86c",
-  accent: "#00e5ff",
-  accentHover: "#33ebff",
-  accentGlow: "rgba(0, 229, 255, 0.18)",
-  magentaGlow: "rgba(255, 126, 179, 0.2)",
-  greenGlow: "rgba(74, 222, 128, 0.15)",
-  text: "#f0eaff",
-  textSec: "#b0a3cc",
-  textDim: "#6e5f8a",
-  radius: 8,
-  radiusSm: 6,
+/* ─── search ───────────────────────────────────────────────────────────────── */
+
+// Field weights for ranking. A term counts once per field, so long docs don't
+// drown out a hit in the app name.
+const SEARCH_FIELDS = [
+  ["name", 10, (a) => a.name],
+  ["short", 6, (a) => [a.shortDescription, a.summary]],
+  ["categories", 4, (a) => a.categories],
+  ["author", 3, (a) => [a.upstreamAuthor, a.author?.name, a.author?.githubUsername]],
+  ["description", 2, (a) => a.description],
+  ["faq", 1, (a) => (a.faq || []).flatMap((f) => [f.q, f.a])],
+  ["docs", 1, (a) => a.docs],
+];
+
+const STOP_WORDS = new Set(["the", "and", "for", "with", "you", "your", "are", "can", "from", "this", "that", "its", "to", "of", "in", "on", "is", "it", "an", "or", "be", "as", "at", "by"]);
+
+const tokenize = (text) =>
+  String(text || "")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+
+// Optimal string alignment distance, bailing out once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+// term → Map(appId → weight)
+const buildSearchIndex = (apps) => {
+  const postings = new Map();
+  apps.forEach((app) => {
+    SEARCH_FIELDS.forEach(([, weight, get]) => {
+      const val = get(app);
+      const text = Array.isArray(val) ? val.filter(Boolean).join(" ") : val;
+      new Set(tokenize(text)).forEach((term) => {
+        let p = postings.get(term);
+        if (!p) postings.set(term, (p = new Map()));
+        p.set(app.appId, (p.get(app.appId) || 0) + weight);
+      });
+    });
+  });
+  return { postings, terms: Array.from(postings.keys()) };
+};
+
+// Index terms a query token matches, with a 0–1 match quality
+const matchTerms = (index, token) => {
+  const out = [];
+  const maxEdits = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+  index.terms.forEach((term) => {
+    if (term === token) out.push([term, 1]);
+    else if (term.startsWith(token)) out.push([term, 0.8]);
+    else if (token.length >= 3 && term.includes(token)) out.push([term, 0.5]);
+    else if (maxEdits) {
+      const d = editDistance(token, term, maxEdits);
+      if (d <= maxEdits) out.push([term, d === 1 ? 0.6 : 0.4]);
+    }
+  });
+  return out;
+};
+
+// Every query token must match something; returns Map(appId → { score, terms })
+const searchApps = (index, query) => {
+  const tokens = tokenize(query);
+  if (!tokens.length) return null;
+  let hits = null;
+  tokens.forEach((token) => {
+    const tokenHits = new Map();
+    matchTerms(index, token).forEach(([term, quality]) => {
+      index.postings.get(term).forEach((weight, appId) => {
+        const h = tokenHits.get(appId) || { score: 0, terms: new Set() };
+        h.score = Math.max(h.score, weight * quality);
+        h.terms.add(term);
+        tokenHits.set(appId, h);
+      });
+    });
+    if (!hits) { hits = tokenHits; return; }
+    const merged = new Map();
+    hits.forEach((h, appId) => {
+      const t = tokenHits.get(appId);
+      if (t) merged.set(appId, { score: h.score + t.score, terms: new Set([...h.terms, ...t.terms]) });
+    });
+    hits = merged;
+  });
+  return hits;
+};
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const highlightRegex = (terms) => {
+  if (!terms || !terms.size) return null;
+  const alts = Array.from(terms).sort((a, b) => b.length - a.length).map(escapeRe);
+  return new RegExp(`\\b(${alts.join("|")})\\b`, "gi");
+};
+
+const highlightText = (str, re) => {
+  if (!re) return str;
+  return str.split(re).map((part, i) => (i % 2 ? <mark key={i} className="search-hit">{part}</mark> : part));
+};
+
+/* ─── sort & facets ───────────────────────────────────────────────────────── */
+
+const SORT_MODES = [
+  ["relevance", "sort.relevance"],
+  ["name", "sort.name"],
+  ["newest", "sort.newest"],
+  ["updated", "sort.updated"],
+  ["rating", "sort.rating"],
+];
+
+const appDeveloper = (app) => app.developer || app.author?.githubUsername || "";
+
+// Latest changelog entry, falling back to the package's createdAt
+const lastUpdated = (app) => {
+  const ts = Date.parse(app.changelog?.[0]?.date || "");
+  return Math.max(Number.isNaN(ts) ? 0 : ts, app.createdAt || 0);
+};
+
+const sortApps = (list, mode, hits) => {
+  const byName = (a, b) => (a.name || "").localeCompare(b.name || "");
+  const cmp = {
+    relevance: (a, b) => (hits ? hits.get(b.appId).score - hits.get(a.appId).score : 0),
+    newest: (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+    updated: (a, b) => lastUpdated(b) - lastUpdated(a),
+    rating: (a, b) => getAppRating(b).average - getAppRating(a).average,
+  }[mode];
+  return [...list].sort((a, b) => (cmp ? cmp(a, b) : 0) || byName(a, b));
+};
+
+/* ─── hash routing ─────────────────────────────────────────────────────────── */
+
+// #/?q=mail&category=Productivity   → grid with filters
+//   &sort=rating&license=open|hlsl&dev=<namespace>…&shots=1
+// #/installed                       → "My apps" install history
+// #/list?apps=<id>,<id>&name=<title> → shared app list ("team starter kit")
+// #/compare?apps=<id>,<id>           → side-by-side comparison of 2–4 apps
+// #/app/<appId>/<tab>               → detail page (tab omitted for overview)
+const MAX_COMPARE = 4;
+
+const DETAIL_TABS = ["overview", "docs", "fees", "versions", "faq", "reviews"];
+
+// A malformed escape (a stray "%" in a shared link) keeps the raw text
+// instead of throwing
+const safeDecode = (s) => {
+  try { return decodeURIComponent(s); } catch { return s; }
+};
+
+const parseRoute = (hash) => {
+  const raw = (hash || "").replace(/^#\/?/, "");
+  const qi = raw.indexOf("?");
+  const path = qi >= 0 ? raw.slice(0, qi) : raw;
+  const params = new URLSearchParams(qi >= 0 ? raw.slice(qi + 1) : "");
+  const parts = path.split("/").filter(Boolean).map(safeDecode);
+  if (parts[0] === "installed") return { appId: null, view: "installed" };
+  if (parts[0] === "compare") {
+    return {
+      appId: null,
+      view: "compare",
+      ids: (params.get("apps") || "").split(",").filter(Boolean).slice(0, MAX_COMPARE),
+    };
+  }
+  if (parts[0] === "list") {
+    return {
+      appId: null,
+      view: "list",
+      name: params.get("name") || "",
+      ids: (params.get("apps") || "").split(",").map((id) => id.trim()).filter(Boolean),
+    };
+  }
+  if (parts[0] === "app" && parts[1]) {
+    return {
+      appId: parts[1],
+      tab: DETAIL_TABS.includes(parts[2]) ? parts[2] : "overview",
+      anchor: params.get("h") || "",
+    };
+  }
+  return {
+    appId: null,
+    query: params.get("q") || "",
+    category: params.get("category") || "All",
+    sort: params.get("sort") || "",
+    license: params.get("license") || "",
+    devs: params.getAll("dev"),
+    shots: params.get("shots") === "1",
+    fav: params.get("fav") === "1",
+  };
+};
+
+const routeHash = (r) => {
+  if (r.view === "installed") return "#/installed";
+  if (r.view === "compare") return `#/compare?apps=${(r.ids || []).map(encodeURIComponent).join(",")}`;
+  if (r.view === "list") {
+    const params = new URLSearchParams();
+    if (r.name) params.set("name", r.name);
+    params.set("apps", (r.ids || []).join(","));
+    // Keep the commas readable in shared links
+    return `#/list?${params.toString().replace(/%2C/g, ",")}`;
+  }
+  if (r.appId) {
+    const tab = r.tab && r.tab !== "overview" ? `/${r.tab}` : "";
+    const anchor = r.anchor ? `?h=${encodeURIComponent(r.anchor)}` : "";
+    return `#/app/${encodeURIComponent(r.appId)}${tab}${anchor}`;
+  }
+  const params = new URLSearchParams();
+  if (r.query) params.set("q", r.query);
+  if (r.category && r.category !== "All") params.set("category", r.category);
+  if (r.sort) params.set("sort", r.sort);
+  if (r.license) params.set("license", r.license);
+  (r.devs || []).forEach((d) => params.append("dev", d));
+  if (r.shots) params.set("shots", "1");
+  if (r.fav) params.set("fav", "1");
+  const qs = params.toString();
+  return qs ? `#/?${qs}` : "#/";
+};
+
+// Controls that open another view carry data-focus-key so focus can go back to
+// them when the user returns.
+const focusKeyOf = (el) => el?.closest?.("[data-focus-key]")?.dataset.focusKey;
+
+// Route state mirrored in location.hash. Pushed entries carry a `depth` so the
+// detail page knows whether BACK can pop to the grid, and the entry being left
+// remembers its scroll offset and focused control for restoration on back/forward.
+function useHashRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    if ("scrollRestoration" in window.history) window.history.scrollRestoration = "manual";
+    const sync = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener("popstate", sync);
+    window.addEventListener("hashchange", sync);
+    return () => {
+      window.removeEventListener("popstate", sync);
+      window.removeEventListener("hashchange", sync);
+    };
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const hash = routeHash(next);
+    if (replace) {
+      window.history.replaceState(window.history.state, "", hash);
+    } else {
+      const cur = window.history.state || {};
+      window.history.replaceState({ ...cur, scrollY: window.scrollY, focusKey: focusKeyOf(document.activeElement) }, "");
+      window.history.pushState({ depth: (cur.depth || 0) + 1 }, "", hash);
+    }
+    setRoute(parseRoute(hash));
+  }, []);
+
+  return [route, navigate];
+}
+
+/* ─── catalog loading ──────────────────────────────────────────────────────── */
+
+// apps/index.json is the source of truth; src/apps.json is only bundled as an
+// offline fallback. build-store.sh stamps both with { revision, generatedAt }
+// so a newer publish can be detected, and adds the store-wide pBay `platform`
+// plans from plans.json. A bundled copy from before the stamp has neither
+// field and counts as older than any published index.
+const normalizeCatalog = (d) => {
+  const src = Array.isArray(d) ? d : d?.apps || [];
+  return {
+    apps: src.map((a) => ({ ...a, categories: a.categories || [] })),
+    platform: d?.platform || null,
+    revision: d?.revision || null,
+    generatedAt: d?.generatedAt || null,
+  };
+};
+
+const isNewerCatalog = (cur, next) => {
+  if (!cur || !next) return !!next;
+  if (cur.revision && next.revision && cur.revision === next.revision) return false;
+  if (cur.generatedAt && next.generatedAt) return Date.parse(next.generatedAt) > Date.parse(cur.generatedAt);
+  return cur.revision !== next.revision;
+};
+
+const fetchCatalog = async () => {
+  const res = await fetch(CATALOG_URL, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`apps/index.json: HTTP ${res.status}`);
+  return normalizeCatalog(await res.json());
+};
+
+// status: loading → ready (network) | fallback (bundled copy) | error (nothing to show)
+function useCatalog() {
+  const [catalog, setCatalog] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [pending, setPending] = useState(null);
+  const current = React.useRef(null);
+
+  const apply = useCallback((c, st) => {
+    current.current = c;
+    setCatalog(c);
+    setStatus(st);
+    setPending(null);
+  }, []);
+
+  const load = useCallback(async () => {
+    setStatus((st) => (current.current ? st : "loading"));
+    try {
+      const c = await fetchCatalog();
+      setError(null);
+      apply(c, "ready");
+    } catch (e) {
+      setError(e.message || String(e));
+      const fallback = normalizeCatalog(bundledCatalog);
+      if (fallback.apps.length) apply(fallback, "fallback");
+      else setStatus("error");
+    }
+  }, [apply]);
+
+  // Background check: a fallback catalog is replaced silently, a live one is
+  // only flagged so the grid doesn't reshuffle under the user. Offline, the
+  // check is skipped; the "online" listener below runs it on reconnect.
+  const check = useCallback(async () => {
+    if (!navigator.onLine) return;
+    let next;
+    try { next = await fetchCatalog(); } catch { return; }
+    setError(null);
+    const cur = current.current;
+    if (!cur || status !== "ready") apply(next, "ready");
+    else if (isNewerCatalog(cur, next)) setPending(next);
+  }, [apply, status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    const onVisible = () => document.visibilityState === "visible" && check();
+    const t = setInterval(check, CATALOG_POLL_MS);
+    document.addEventListener("visibilitychange", onVisible);
+    window.addEventListener("online", check);
+    return () => {
+      clearInterval(t);
+      document.removeEventListener("visibilitychange", onVisible);
+      window.removeEventListener("online", check);
+    };
+  }, [check]);
+
+  const applyPending = useCallback(() => pending && apply(pending, "ready"), [pending, apply]);
+
+  return { apps: catalog?.apps || [], platform: catalog?.platform || null, generatedAt: catalog?.generatedAt || null, status, error, pending: !!pending, applyPending, reload: load };
+}
+
+/* ─── service worker ───────────────────────────────────────────────────────── */
+
+// sw.js is generated by the build (see vite.config.js), so the dev server
+// has none to register.
+const SW_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+// A new worker installs in the background and then waits. The store offers a
+// reload, and only then tells the worker to take over; the page reloads once
+// it controls this tab.
+function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null);
+  const requested = React.useRef(false);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    let reg;
+    const track = (worker) => {
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) setWaiting(worker);
+      });
+    };
+    const onControllerChange = () => {
+      if (requested.current) window.location.reload();
+    };
+    // Checks asked for while offline run once the connection is back
+    let queued = false;
+    const check = () => {
+      if (!reg) return;
+      if (!navigator.onLine) { queued = true; return; }
+      queued = false;
+      reg.update().catch(() => {});
+    };
+    const onVisible = () => document.visibilityState === "visible" && check();
+    const onOnline = () => queued && check();
+
+    navigator.serviceWorker.register(SW_URL, { scope: import.meta.env.BASE_URL })
+      .then((r) => {
+        reg = r;
+        if (r.waiting && navigator.serviceWorker.controller) setWaiting(r.waiting);
+        if (r.installing) track(r.installing);
+        r.addEventListener("updatefound", () => r.installing && track(r.installing));
+      })
+      .catch((err) => console.warn("[SW] registration failed:", err));
+
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    document.addEventListener("visibilitychange", onVisible);
+    window.addEventListener("online", onOnline);
+    return () => {
+      navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+      document.removeEventListener("visibilitychange", onVisible);
+      window.removeEventListener("online", onOnline);
+    };
+  }, []);
+
+  const update = useCallback(() => {
+    if (!waiting) return;
+    requested.current = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }, [waiting]);
+
+  return { updateReady: !!waiting, update };
+}
+
+// Offline when the browser says so, or when the service worker had to answer
+// from its caches because the network failed (which navigator.onLine misses
+// on captive portals and dead Wi-Fi). Any answer from the network clears it.
+function useConnectivity() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [swOffline, setSwOffline] = useState(false);
+
+  useEffect(() => {
+    const up = () => { setOnline(true); setSwOffline(false); };
+    const down = () => setOnline(false);
+    const onMessage = (e) => e.data?.type === "CONNECTIVITY" && setSwOffline(!e.data.online);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, []);
+
+  return !online || swOffline;
+}
+
+// Cache names and limits shared with src/sw.js. The shell cache is versioned
+// (melusina-market-<build hash>); the runtime caches below are not.
+const SW_CACHE_PREFIX = "melusina-market-";
+const OFFLINE_CACHES = {
+  catalog: `${SW_CACHE_PREFIX}catalog`,
+  media: `${SW_CACHE_PREFIX}media`,
+  misc: `${SW_CACHE_PREFIX}misc`,
+};
+const SW_SIZE_HEADER = "x-melusina-size";
+const SW_MEDIA_MAX_BYTES = 50 * 1024 * 1024;
+
+// Bytes held in each of our caches ({ shell, catalog, media, misc }), or null
+// where Cache Storage isn't available.
+async function offlineUsage() {
+  if (!("caches" in window)) return null;
+  const usage = { shell: 0, catalog: 0, media: 0, misc: 0 };
+  const kinds = Object.fromEntries(Object.entries(OFFLINE_CACHES).map(([kind, name]) => [name, kind]));
+  for (const name of await caches.keys()) {
+    if (!name.startsWith(SW_CACHE_PREFIX)) continue;
+    const kind = kinds[name] || "shell";
+    const cache = await caches.open(name);
+    for (const req of await cache.keys()) {
+      const res = await cache.match(req);
+      if (!res) continue;
+      usage[kind] += Number(res.headers.get(SW_SIZE_HEADER)) || (await res.blob()).size;
+    }
+  }
+  return usage;
+}
+
+// Drops everything cached while browsing. The shell stays so the store still
+// opens offline; the worker replaces it with the next build.
+const clearOfflineData = () => Promise.all(Object.values(OFFLINE_CACHES).map((name) => caches.delete(name)));
+
+/* ─── themes ───────────────────────────────────────────────────────────────── */
+
+// Every color in the UI comes from one of these token sets. Accent colors
+// must stay 6-digit hex because styles append alpha suffixes (T.cyan + "33").
+const THEMES = {
+  // palm beach sunset
+  neon: {
+    scheme: "dark",
+    bg: "#110e24",
+    bgAlt: "#1a1535",
+    page: "linear-gradient(170deg, #0e0b1f 0%, #1a1040 25%, #2a1550 45%, #251245 60%, #1a1040 78%, #110e24 100%)",
+    pageGlow: `radial-gradient(ellipse 140% 50% at 50% 108%, rgba(255,126,179,0.12), transparent 65%),
+    radial-gradient(ellipse 90% 35% at 18% 80%, rgba(255,184,108,0.08), transparent 55%),
+    radial-gradient(ellipse 110% 40% at 80% 85%, rgba(192,132,252,0.09), transparent 60%),
+    radial-gradient(ellipse 70% 25% at 40% 12%, rgba(0,229,255,0.05), transparent 50%),
+    radial-gradient(ellipse 50% 20% at 65% 5%, rgba(192,132,252,0.04), transparent 45%)`,
+    chrome: "linear-gradient(135deg, rgba(17,14,36,0.92), rgba(30,20,58,0.88))",
+    chromeShadow: "0 4px 30px rgba(17,14,36,0.5), inset 0 -1px 0 rgba(192,132,252,0.08)",
+    popover: "rgba(22, 16, 48, 0.96)",
+    field: "rgba(192,132,252,0.06)",
+    fieldQuiet: "rgba(192,132,252,0.04)",
+    scrim: "rgba(17,14,36,0.6)",
+    lightbox: "rgba(14,11,30,.92)",
+    dot: "rgba(255,255,255,.35)",
+    surface: "rgba(24, 18, 52, 0.72)",
+    card: "rgba(28, 22, 58, 0.55)",
+    cardHover: "rgba(42, 32, 78, 0.7)",
+    border: "rgba(192, 132, 252, 0.1)",
+    borderHover: "rgba(0, 229, 255, 0.35)",
+    borderLight: "rgba(192, 132, 252, 0.06)",
+    cyan: "#00e5ff",
+    magenta: "#ff7eb3",
+    green: "#4ade80",
+    purple: "#c084fc",
+    yellow: "#ffd166",
+    coral: "#ff7eb3",
+    peach: "#ffb86c",
+    accent: "#00e5ff",
+    accentHover: "#33ebff",
+    accentGlow: "rgba(0, 229, 255, 0.18)",
+    magentaGlow: "rgba(255, 126, 179, 0.2)",
+    greenGlow: "rgba(74, 222, 128, 0.15)",
+    text: "#f0eaff",
+    textSec: "#b0a3cc",
+    textDim: "#6e5f8a",
+    radius: 8,
+    radiusSm: 6,
+  },
+  // daylight: same hues, darkened until they clear 4.5:1 on white
+  light: {
+    scheme: "light",
+    bg: "#f7f5fc",
+    bgAlt: "#ece8f6",
+    page: "linear-gradient(170deg, #fbfaff 0%, #f3effb 45%, #fdf3f7 100%)",
+    pageGlow: `radial-gradient(ellipse 140% 50% at 50% 108%, rgba(194,24,91,0.06), transparent 65%),
+    radial-gradient(ellipse 70% 25% at 40% 12%, rgba(0,119,168,0.05), transparent 50%)`,
+    chrome: "linear-gradient(135deg, rgba(255,255,255,0.94), rgba(246,242,253,0.92))",
+    chromeShadow: "0 2px 18px rgba(60,40,110,0.08), inset 0 -1px 0 rgba(109,40,217,0.12)",
+    popover: "rgba(255, 255, 255, 0.98)",
+    field: "rgba(109,40,217,0.05)",
+    fieldQuiet: "rgba(109,40,217,0.03)",
+    scrim: "rgba(255,255,255,0.85)",
+    lightbox: "rgba(247,245,252,.95)",
+    dot: "rgba(40,30,70,.3)",
+    surface: "rgba(255, 255, 255, 0.86)",
+    card: "rgba(255, 255, 255, 0.9)",
+    cardHover: "rgba(255, 255, 255, 1)",
+    border: "rgba(109, 40, 217, 0.16)",
+    borderHover: "rgba(0, 119, 168, 0.45)",
+    borderLight: "rgba(109, 40, 217, 0.09)",
+    cyan: "#00709e",
+    magenta: "#b5175a",
+    green: "#1a7f37",
+    purple: "#6d28d9",
+    yellow: "#8a5a00",
+    coral: "#b5175a",
+    peach: "#a84a00",
+    accent: "#00709e",
+    accentHover: "#005a80",
+    accentGlow: "rgba(0, 112, 158, 0.12)",
+    magentaGlow: "rgba(181, 23, 90, 0.1)",
+    greenGlow: "rgba(26, 127, 55, 0.1)",
+    text: "#1c1530",
+    textSec: "#463d5e",
+    textDim: "#6a6282",
+    radius: 8,
+    radiusSm: 6,
+  },
+  // no glow, solid surfaces, maximum contrast
+  contrast: {
+    scheme: "dark",
+    bg: "#000000",
+    bgAlt: "#0d0d0d",
+    page: "#000000",
+    pageGlow: "none",
+    chrome: "#000000",
+    chromeShadow: "inset 0 -1px 0 #ffffff",
+    popover: "#000000",
+    field: "#000000",
+    fieldQuiet: "#000000",
+    scrim: "#000000",
+    lightbox: "rgba(0,0,0,.97)",
+    dot: "#bbbbbb",
+    surface: "#000000",
+    card: "#000000",
+    cardHover: "#0d0d0d",
+    border: "#bbbbbb",
+    borderHover: "#ffff00",
+    borderLight: "#777777",
+    cyan: "#00ffff",
+    magenta: "#ff66cc",
+    green: "#33ff66",
+    purple: "#d9b3ff",
+    yellow: "#ffff00",
+    coral: "#ff66cc",
+    peach: "#ffcc66",
+    accent: "#00ffff",
+    accentHover: "#ffffff",
+    accentGlow: "transparent",
+    magentaGlow: "transparent",
+    greenGlow: "transparent",
+    text: "#ffffff",
+    textSec: "#ffffff",
+    textDim: "#d0d0d0",
+    radius: 8,
+    radiusSm: 6,
+  },
+};
+
+const THEME_KEY = "theme";
+
+// Live token object; applyTheme() swaps its values and App re-renders
+const T = { ...THEMES.neon };
+let activeTheme = null;
+
+// "system" follows prefers-contrast, then prefers-color-scheme
+const resolveTheme = (choice) => {
+  if (THEMES[choice]) return choice;
+  if (window.matchMedia?.("(prefers-contrast: more)").matches) return "contrast";
+  return window.matchMedia?.("(prefers-color-scheme: light)").matches ? "light" : "neon";
+};
+
+const applyTheme = (id) => {
+  activeTheme = id;
+  Object.assign(T, THEMES[id]);
+  document.documentElement.style.colorScheme = T.scheme;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute("content", T.bg);
 };
 
+function useTheme() {
+  const [choice, setChoice] = useState(() => {
+    const saved = localStorage.getItem(THEME_KEY);
+    return THEMES[saved] ? saved : "system";
+  });
+  const [systemTick, setSystemTick] = useState(0);
+
+  useEffect(() => {
+    if (choice !== "system" || !window.matchMedia) return;
+    const queries = ["(prefers-color-scheme: light)", "(prefers-contrast: more)"].map((q) => window.matchMedia(q));
+    const h = () => setSystemTick((n) => n + 1);
+    queries.forEach((q) => q.addEventListener("change", h));
+    return () => queries.forEach((q) => q.removeEventListener("change", h));
+  }, [choice]);
+
+  const theme = useMemo(() => resolveTheme(choice), [choice, systemTick]);
+  // Apply during render so every style computed below sees the new tokens
+  if (theme !== activeTheme) applyTheme(theme);
+
+  const set = useCallback((c) => {
+    if (THEMES[c]) localStorage.setItem(THEME_KEY, c);
+    else localStorage.removeItem(THEME_KEY);
+    setChoice(THEMES[c] ? c : "system");
+  }, []);
+  return [choice, set];
+}
+
 /* ─── global CSS ───────────────────────────────────────────────────────────── */
 
-const CSS = `
+// Rebuilt on every render so it follows the active theme
+const css = () => `
 *,*::before,*::after{box-sizing:border-box;margin:0;padding:0}
 html{font-size:15px;-webkit-text-size-adjust:100%}
 body{
   font-family:'Inter',-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;
-  background:linear-gradient(170deg, #0e0b1f 0%, #1a1040 25%, #2a1550 45%, #251245 60%, #1a1040 78%, #110e24 100%);
+  background:${T.page};
   background-attachment:fixed;
   color:${T.text};
   overflow-x:hidden;
@@ -85,6 +876,7 @@ body{
 }
 a{color:${T.cyan};text-decoration:none}
 a:hover{color:${T.magenta};text-shadow:0 0 8px ${T.magentaGlow}}
+[data-offline] a[target="_blank"]{opacity:.45;cursor:not-allowed}
 ::selection{background:${T.accentGlow};color:${T.text}}
 
 ::-webkit-scrollbar{width:4px;height:4px}
@@ -98,21 +890,16 @@ img{display:block;max-width:100%}
 
 body::before{
   content:'';position:fixed;inset:0;z-index:-2;
-  background:
-    radial-gradient(ellipse 140% 50% at 50% 108%, rgba(255,126,179,0.12), transparent 65%),
-    radial-gradient(ellipse 90% 35% at 18% 80%, rgba(255,184,108,0.08), transparent 55%),
-    radial-gradient(ellipse 110% 40% at 80% 85%, rgba(192,132,252,0.09), transparent 60%),
-    radial-gradient(ellipse 70% 25% at 40% 12%, rgba(0,229,255,0.05), transparent 50%),
-    radial-gradient(ellipse 50% 20% at 65% 5%, rgba(192,132,252,0.04), transparent 45%);
+  background:${T.pageGlow};
 }
 body::after{
   content:'';position:fixed;inset:0;z-index:-1;pointer-events:none;
   background:
     radial-gradient(ellipse 700px 400px at 12% 18%, ${T.purple}0c, transparent),
     radial-gradient(ellipse 600px 500px at 85% 70%, ${T.magenta}0b, transparent),
-    radial-gradient(ellipse 900px 350px at 50% 95%, rgba(255,184,108,0.07), transparent),
+    radial-gradient(ellipse 900px 350px at 50% 95%, ${T.peach}12, transparent),
     radial-gradient(ellipse 500px 400px at 65% 35%, ${T.cyan}06, transparent),
-    radial-gradient(ellipse 400px 300px at 35% 55%, rgba(192,132,252,0.05), transparent);
+    radial-gradient(ellipse 400px 300px at 35% 55%, ${T.purple}0d, transparent);
 }
 
 @keyframes fadeUp{from{opacity:0;transform:translateY(18px)}to{opacity:1;transform:none}}
@@ -141,6 +928,8 @@ body::after{
 .ss-strip{display:flex;gap:12px;overflow-x:auto;padding:4px 0 10px;scroll-snap-type:x mandatory;-webkit-overflow-scrolling:touch}
 .ss-strip::-webkit-scrollbar{height:3px}
 .ss-strip::-webkit-scrollbar-thumb{background:${T.cyan}44;border-radius:2px}
+.ss-thumb{position:relative;padding:0;border:none;background:none;border-radius:3px;cursor:pointer;flex-shrink:0;scroll-snap-align:start}
+.ss-play{position:absolute;right:8px;bottom:8px;padding:3px 8px;border-radius:3px;background:${T.scrim};color:${T.text};font-size:11px;font-family:'JetBrains Mono',monospace;pointer-events:none}
 .ss-strip img{
   scroll-snap-align:start;border-radius:3px;
   border:1px solid ${T.border};cursor:pointer;
@@ -156,24 +945,26 @@ body::after{
 .card-slideshow-track{display:flex;height:100%;transition:transform .35s cubic-bezier(.4,0,.2,1);will-change:transform}
 .card-slideshow-slide{flex:0 0 100%;height:100%;display:flex;align-items:center;justify-content:center;position:relative;overflow:hidden}
 .card-slideshow-slide img{width:100%;height:100%;object-fit:cover}
-.card-slideshow-icon{display:flex;align-items:center;justify-content:center;width:100%;height:100%;background:linear-gradient(135deg,${T.bgAlt},rgba(42,32,78,0.5))}
+.card-slideshow-slide video{width:100%;height:100%;object-fit:contain;background:#000}
+.card-slideshow-icon{display:flex;align-items:center;justify-content:center;width:100%;height:100%;background:linear-gradient(135deg,${T.bgAlt},${T.cardHover})}
 .card-slideshow-dots{position:absolute;bottom:8px;left:50%;transform:translateX(-50%);display:flex;gap:5px;z-index:4}
-.card-slideshow-dot{width:6px;height:6px;border-radius:50%;border:none;padding:0;cursor:pointer;transition:all .25s;background:rgba(255,255,255,.35)}
+.card-slideshow-dot{width:6px;height:6px;border-radius:50%;border:none;padding:0;cursor:pointer;transition:all .25s;background:${T.dot}}
 .card-slideshow-dot.active{background:${T.cyan};box-shadow:0 0 6px ${T.cyan}88;width:16px;border-radius:3px}
-.card-slideshow-nav{position:absolute;top:50%;transform:translateY(-50%);z-index:4;width:28px;height:28px;border-radius:50%;border:none;background:rgba(17,14,36,.7);color:${T.text};font-size:14px;cursor:pointer;display:flex;align-items:center;justify-content:center;opacity:0;transition:opacity .2s;backdrop-filter:blur(8px);-webkit-backdrop-filter:blur(8px)}
-.card-slideshow:hover .card-slideshow-nav{opacity:1}
+.card-slideshow-nav{position:absolute;top:50%;transform:translateY(-50%);z-index:4;width:28px;height:28px;border-radius:50%;border:none;background:${T.scrim};color:${T.text};font-size:14px;cursor:pointer;display:flex;align-items:center;justify-content:center;opacity:0;transition:opacity .2s;backdrop-filter:blur(8px);-webkit-backdrop-filter:blur(8px)}
+.card-slideshow:hover .card-slideshow-nav,.card-slideshow:focus-within .card-slideshow-nav{opacity:1}
+.card-slideshow .card-slideshow-nav[aria-disabled="true"]{opacity:0;pointer-events:none}
 .card-slideshow-nav.prev{left:6px}
 .card-slideshow-nav.next{right:6px}
 
 .lightbox-overlay{
-  position:fixed;inset:0;z-index:900;
-  background:rgba(14,11,30,.92);
+  position:fixed;inset:0;z-index:900;outline:none;
+  background:${T.lightbox};
   backdrop-filter:blur(20px);-webkit-backdrop-filter:blur(20px);
   display:flex;align-items:center;justify-content:center;
   animation:fadeIn .2s ease-out;cursor:zoom-out;
 }
-.lightbox-overlay img{
-  max-width:92vw;max-height:88vh;border-radius:4px;
+.lightbox-overlay img,.lightbox-overlay video{
+  max-width:92vw;max-height:88vh;width:auto;height:auto;border-radius:4px;
   box-shadow:0 0 60px ${T.accentGlow},0 20px 60px rgba(0,0,0,.7);
   border:1px solid ${T.cyan}44;
   animation:pop .2s ease-out;
@@ -219,11 +1010,50 @@ body::after{
 .md-body code{background:${T.cyan}11;color:${T.cyan};padding:2px 6px;border-radius:2px;font-size:0.9em;font-family:'JetBrains Mono',monospace}
 .md-body a{color:${T.cyan};border-bottom:1px solid ${T.cyan}33}
 .md-body strong{color:${T.text};font-weight:600}
+.md-body h5,.md-body h6{font-size:12px;font-weight:700;color:${T.text};margin:16px 0 6px;text-transform:uppercase;letter-spacing:.08em}
+.md-body ol{margin:0 0 16px;padding-left:22px}
+.md-body ol li{font-size:13px;line-height:1.8;color:${T.textSec};margin-bottom:4px}
+.md-body li>ul,.md-body li>ol{margin:4px 0 0}
+.md-body li input[type=checkbox]{margin:0 8px 0 0;accent-color:${T.cyan}}
+.md-body blockquote{margin:0 0 16px;padding:4px 0 4px 14px;border-left:2px solid ${T.magenta}88;color:${T.textSec}}
+.md-body blockquote p:last-child{margin-bottom:0}
+.md-body pre{margin:0 0 16px;padding:14px 16px;overflow-x:auto;background:${T.bgAlt};border:1px solid ${T.border};border-radius:${T.radiusSm}px}
+.md-body pre code{background:none;padding:0;color:${T.text};font-size:12px;line-height:1.6}
+.md-body table{border-collapse:collapse;margin:0 0 16px;font-size:12px;display:block;overflow-x:auto;max-width:100%}
+.md-body th,.md-body td{padding:7px 12px;border:1px solid ${T.border};text-align:left;color:${T.textSec}}
+.md-body th{color:${T.text};background:${T.cyan}0d;font-weight:700}
+.md-body img{max-width:100%;height:auto;border-radius:${T.radiusSm}px}
+.md-body hr{border:none;border-top:1px solid ${T.border};margin:24px 0}
+.md-body details{margin:0 0 12px}
+.md-body summary{cursor:pointer;color:${T.text}}
+.md-body .md-anchor{margin-left:8px;opacity:0;border:none;color:${T.textDim};text-shadow:none;transition:opacity .2s}
+.md-body :is(h2,h3,h4,h5,h6):hover .md-anchor{opacity:1}
+.md-body :is(h2,h3,h4,h5,h6){scroll-margin-top:80px}
+.md-inline code{font-family:'JetBrains Mono',monospace;font-size:.9em;color:${T.cyan}}
+.hljs-comment,.hljs-quote{color:${T.textDim};font-style:italic}
+.hljs-keyword,.hljs-selector-tag,.hljs-built_in,.hljs-type{color:${T.magenta}}
+.hljs-string,.hljs-regexp,.hljs-addition,.hljs-attribute{color:${T.green}}
+.hljs-number,.hljs-literal,.hljs-symbol{color:${T.peach}}
+.hljs-title,.hljs-section,.hljs-name,.hljs-selector-id,.hljs-selector-class{color:${T.cyan}}
+.hljs-attr,.hljs-variable,.hljs-template-variable,.hljs-property{color:${T.purple}}
+.hljs-meta,.hljs-deletion{color:${T.yellow}}
+.hljs-emphasis{font-style:italic}
+.hljs-strong{font-weight:700}
 
 .review-card{padding:20px;background:${T.surface};border:1px solid ${T.border};border-radius:${T.radius}px;backdrop-filter:blur(12px);-webkit-backdrop-filter:blur(12px);transition:border-color .2s}
 .review-card:hover{border-color:${T.cyan}33}
 
+mark.search-hit{background:${T.cyan}22;color:${T.cyan};border-radius:2px;padding:0 1px;text-shadow:0 0 6px ${T.accentGlow}}
+
 @media(max-width:480px){.detail-tab{padding:12px 16px;font-size:10px;letter-spacing:.06em}}
+
+:focus-visible{outline:2px solid ${T.cyan};outline-offset:2px}
+.sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
+
+@media(prefers-reduced-motion:reduce){
+  *,*::before,*::after{animation-duration:.01ms!important;animation-iteration-count:1!important;transition-duration:.01ms!important;scroll-behavior:auto!important}
+  .scan-line{display:none}
+}
 `;
 
 /* ─── small components ─────────────────────────────────────────────────────── */
@@ -247,6 +1077,36 @@ function Badge({ children, neon }) {
   );
 }
 
+function FacetToggle({ active, onClick, focusKey, children }) {
+  return (
+    <button onClick={onClick} aria-pressed={active} data-focus-key={focusKey} style={{
+      padding: "5px 12px", borderRadius: 3, cursor: "pointer",
+      border: `1px solid ${active ? T.magenta + "66" : T.purple + "18"}`,
+      background: active ? T.magenta + "14" : "transparent",
+      color: active ? T.magenta : T.textDim,
+      fontSize: 10, fontWeight: 600, whiteSpace: "nowrap",
+      fontFamily: "'JetBrains Mono', monospace",
+      letterSpacing: ".06em", textTransform: "uppercase",
+      transition: "all .2s",
+      textShadow: active ? `0 0 6px ${T.magentaGlow}` : "none",
+    }}>{children}</button>
+  );
+}
+
+function FilterChip({ children, onRemove }) {
+  return (
+    <button onClick={onRemove} title={t("filter.remove")} style={{
+      display: "inline-flex", alignItems: "center", gap: 6,
+      padding: "3px 8px 3px 10px", borderRadius: 2, cursor: "pointer",
+      border: `1px solid ${T.magenta}44`, background: T.magenta + "11", color: T.magenta,
+      fontSize: 10, fontWeight: 600, letterSpacing: ".06em", textTransform: "uppercase",
+      fontFamily: "'JetBrains Mono', monospace",
+    }}>
+      {children}<span aria-hidden="true" style={{ fontSize: 12, lineHeight: 1 }}>×</span>
+    </button>
+  );
+}
+
 function AppIcon({ app, size = 48 }) {
   const [err, setErr] = useState(false);
   const src = imgUrl(app.imageId);
@@ -268,8 +1128,11 @@ function AppIcon({ app, size = 48 }) {
       </div>
     );
   }
+  // the browser picks the rendition for size × device pixel ratio; the
+  // original is the fallback when the build couldn't rasterize it
   return (
-    <img src={src} alt="" loading="lazy" onError={() => setErr(true)}
+    <img src={src} srcSet={iconSrcSet(app) || undefined} sizes={`${size}px`} width={size} height={size}
+      alt="" loading="lazy" onError={() => setErr(true)}
       style={{
         width: size, height: size, borderRadius: T.radiusSm,
         objectFit: "contain", background: T.bgAlt, flexShrink: 0,
@@ -279,74 +1142,134 @@ function AppIcon({ app, size = 48 }) {
   );
 }
 
-/* ─── Connect-server dropdown ──────────────────────────────────────────────── */
+// Shown on every view when a newer build of the store is waiting to take over.
+function UpdatePrompt({ onReload }) {
+  return (
+    <div role="status" style={{
+      position: "fixed", right: 18, bottom: 18, zIndex: 160, maxWidth: "calc(100vw - 36px)",
+      display: "flex", alignItems: "center", gap: 12, padding: "10px 14px 10px 16px",
+      background: T.popover, border: `1px solid ${T.green}44`, borderRadius: T.radiusSm,
+      boxShadow: `0 12px 40px rgba(0,0,0,.4)`,
+      fontSize: 12, color: T.green,
+      fontFamily: "'JetBrains Mono', monospace",
+      animation: "fadeUp .2s ease-out both",
+    }}>
+      <span>{t("sw.updateReady")}</span>
+      <button onClick={onReload} style={{
+        padding: "6px 14px", borderRadius: 3, cursor: "pointer", flexShrink: 0,
+        border: `1px solid ${T.green}66`, background: T.green + "15", color: T.green,
+        fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+        textShadow: `0 0 6px ${T.greenGlow}`,
+      }}>{t("action.reload")}</button>
+    </div>
+  );
+}
+
+// Shown on every view while offline. `nudge` counts blocked link clicks; each
+// one replays the entrance so the explanation catches the eye.
+function OfflineBanner({ generatedAt, nudge }) {
+  return (
+    <div key={nudge} role="status" style={{
+      display: "flex", alignItems: "center", justifyContent: "center", gap: 10, flexWrap: "wrap",
+      padding: "8px 16px", textAlign: "center",
+      borderBottom: `1px solid ${T.yellow}44`, background: T.yellow + "14",
+      fontSize: 12, color: T.yellow, lineHeight: 1.5,
+      fontFamily: "'JetBrains Mono', monospace",
+      animation: nudge ? "pop .2s ease-out" : "fadeIn .2s ease-out",
+    }}>
+      <strong style={{ letterSpacing: ".12em" }}>{t("offline.badge")}</strong>
+      <span>
+        {generatedAt ? t("offline.banner", { date: fmtDate(generatedAt) }) : t("offline.bannerUndated")}
+      </span>
+    </div>
+  );
+}
 
-function HostBar({ host, setHost }) {
+// Header menu showing what the service worker keeps for offline use.
+function OfflineDataMenu() {
   const [open, setOpen] = useState(false);
-  const ok = !!host.trim();
+  // undefined while measuring, null where Cache Storage is unavailable
+  const [usage, setUsage] = useState(undefined);
+  const [quota, setQuota] = useState(null);
+  const [cleared, setCleared] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setUsage(await offlineUsage().catch(() => null));
+    setQuota(navigator.storage?.estimate ? await navigator.storage.estimate().catch(() => null) : null);
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    setCleared(false);
+    setUsage(undefined);
+    refresh();
+  }, [open, refresh]);
+
+  const clear = async () => {
+    await clearOfflineData();
+    setCleared(true);
+    refresh();
+  };
+
+  const label = {
+    fontSize: 10, fontWeight: 700, textTransform: "uppercase",
+    letterSpacing: ".12em", color: T.cyan, marginBottom: 10,
+    fontFamily: "'Orbitron', sans-serif",
+    textShadow: `0 0 6px ${T.accentGlow}`,
+  };
+  const kept = usage ? usage.catalog + usage.media + usage.misc : 0;
+
   return (
     <div style={{ position: "relative" }}>
-      <button onClick={() => setOpen(!open)} style={{
-        display: "flex", alignItems: "center", gap: 8, padding: "8px 16px",
-        border: `1px solid ${ok ? T.green + "66" : T.cyan + "33"}`,
-        borderRadius: T.radiusSm, background: ok ? T.green + "11" : "rgba(192,132,252,0.07)",
-        cursor: "pointer", fontSize: 12, color: ok ? T.green : T.cyan,
-        fontFamily: "'JetBrains Mono', monospace", fontWeight: 600,
-        letterSpacing: ".05em", textTransform: "uppercase",
-        transition: "all .3s ease",
-        textShadow: `0 0 8px ${ok ? T.greenGlow : T.accentGlow}`,
-        boxShadow: `0 0 10px ${ok ? T.greenGlow : T.accentGlow}`,
-      }}>
-        <span style={{
-          width: 6, height: 6, borderRadius: "50%",
-          background: ok ? T.green : T.cyan,
-          boxShadow: `0 0 6px ${ok ? T.green : T.cyan}`,
-        }} />
-        <span>{ok ? "LINKED" : "CONNECT"}</span>
-        <span style={{ fontSize: 8, opacity: .6 }}>▾</span>
-      </button>
+      <button onClick={() => setOpen(!open)} aria-expanded={open} title={t("offline.title")} style={{
+        padding: "9px 12px", borderRadius: T.radiusSm, cursor: "pointer",
+        border: `1px solid ${T.purple}33`, background: T.field,
+        color: T.textSec, fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+        fontFamily: "'JetBrains Mono', monospace",
+      }}>{t("offline.button")}</button>
       {open && (
         <>
           <div onClick={() => setOpen(false)} style={{ position: "fixed", inset: 0, zIndex: 99 }} />
           <div style={{
             position: "absolute", right: 0, top: "calc(100% + 8px)",
-            background: "rgba(22, 16, 48, 0.95)",
+            background: T.popover,
             border: `1px solid ${T.purple}44`,
             borderRadius: T.radius,
-            padding: 20, zIndex: 100, width: 320,
+            padding: 20, zIndex: 100, width: 300, maxWidth: "calc(100vw - 32px)",
             boxShadow: `0 0 30px ${T.magentaGlow}, 0 20px 60px rgba(0,0,0,.4)`,
             backdropFilter: "blur(24px) saturate(1.3)", WebkitBackdropFilter: "blur(24px) saturate(1.3)",
             animation: "pop .15s ease-out",
+            fontSize: 12, color: T.textSec, fontFamily: "'JetBrains Mono', monospace",
           }}>
-            <label style={{
-              display: "block", fontSize: 10, fontWeight: 700, textTransform: "uppercase",
-              letterSpacing: ".12em", color: T.cyan, marginBottom: 10,
-              fontFamily: "'Orbitron', sans-serif",
-              textShadow: `0 0 6px ${T.accentGlow}`,
-            }}>SERVER ENDPOINT</label>
-            <input type="url" placeholder="https://sandstorm.example.com" value={host}
-              onChange={(e) => setHost(e.target.value)} autoFocus
-              style={{
-                width: "100%", padding: "12px 14px", background: "rgba(192,132,252,0.06)",
-                border: `1px solid ${T.purple}33`, borderRadius: T.radiusSm, color: T.text,
-                fontSize: 13, outline: "none", transition: "border-color .2s, box-shadow .2s",
-                fontFamily: "'JetBrains Mono', monospace",
-              }}
-              onFocus={(e) => {
-                e.target.style.borderColor = T.cyan + "88";
-                e.target.style.boxShadow = `0 0 15px ${T.accentGlow}`;
-              }}
-              onBlur={(e) => {
-                e.target.style.borderColor = T.cyan + "33";
-                e.target.style.boxShadow = "none";
-              }}
-            />
-            <p style={{
-              fontSize: 11, color: T.textDim, marginTop: 10, lineHeight: 1.6,
-              fontFamily: "'JetBrains Mono', monospace",
-            }}>
-              Enter your Sandstorm address to enable one-click installs.
-            </p>
+            <div style={label}>{t("offline.title")}</div>
+            {!usage ? (
+              <p style={{ margin: 0, color: T.textDim }}>{t(usage === undefined ? "offline.loading" : "offline.unavailable")}</p>
+            ) : (
+              <>
+                <dl style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: "6px 16px", margin: 0 }}>
+                  {["catalog", "media", "misc", "shell"].map((kind) => (
+                    <React.Fragment key={kind}>
+                      <dt>{t(`offline.${kind}`)}</dt>
+                      <dd style={{ margin: 0, color: T.text, textAlign: "right" }}>{usage[kind] ? fmtSize(usage[kind]) : "—"}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+                {quota?.quota > 0 && (
+                  <p style={{ margin: "12px 0 0", fontSize: 11, color: T.textDim }}>
+                    {t("offline.quota", { used: fmtSize(quota.usage), quota: fmtSize(quota.quota) })}
+                  </p>
+                )}
+                <p style={{ margin: "12px 0", fontSize: 11, color: T.textDim, lineHeight: 1.5 }}>{t("offline.hint", { cap: fmtSize(SW_MEDIA_MAX_BYTES) })}</p>
+                <button onClick={clear} disabled={!kept} style={{
+                  width: "100%", padding: "8px 14px", borderRadius: 3, cursor: kept ? "pointer" : "default",
+                  border: `1px solid ${T.magenta}55`, background: T.magenta + "11", color: T.magenta,
+                  opacity: kept ? 1 : .5,
+                  fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+                  fontFamily: "'JetBrains Mono', monospace",
+                }}>{t("offline.clear")}</button>
+                {cleared && <p role="status" style={{ margin: "10px 0 0", fontSize: 11, color: T.green }}>{t("offline.cleared")}</p>}
+              </>
+            )}
           </div>
         </>
       )}
@@ -354,62 +1277,662 @@ function HostBar({ host, setHost }) {
   );
 }
 
-/* ─── Card Slideshow ────────────────────────────────────────────────────────── */
+/* ─── Server probe ─────────────────────────────────────────────────────────── */
 
-function CardSlideshow({ app, shots }) {
-  const [idx, setIdx] = useState(0);
-  const total = 1 + shots.length; // icon + screenshots
+const PROBE_TIMEOUT_MS = 8000;
 
-  const startX = React.useRef(null);
-  const onTouchStart = (e) => { startX.current = e.touches[0].clientX; };
-  const onTouchEnd = (e) => {
-    if (startX.current === null) return;
-    const dx = e.changedTouches[0].clientX - startX.current;
-    if (Math.abs(dx) > 40) {
-      if (dx < 0 && idx < total - 1) setIdx(idx + 1);
-      else if (dx > 0 && idx > 0) setIdx(idx - 1);
-    }
-    startX.current = null;
-  };
+const isLoopback = (hostname) =>
+  /^(localhost|127(\.\d+){3}|\[::1\])$/i.test(hostname) || hostname.endsWith(".localhost");
 
-  return (
-    <div className="card-slideshow"
-      onTouchStart={onTouchStart} onTouchEnd={onTouchEnd}>
-      <div className="card-slideshow-track" style={{ transform: `translateX(-${idx * 100}%)` }}>
-        {/* slide 0: app icon */}
-        <div className="card-slideshow-slide">
-          <div className="card-slideshow-icon">
-            <AppIcon app={app} size={72} />
-          </div>
-        </div>
-        {/* slides 1+: screenshots */}
+// Sandstorm's shell embeds Meteor's runtime config, whose public settings carry
+// the build number.
+const readSandstormBuild = (html) => {
+  const m = html.match(/__meteor_runtime_config__\s*=\s*JSON\.parse\(decodeURIComponent\("([^"]+)"\)\)/);
+  if (m) {
+    try {
+      const build = JSON.parse(decodeURIComponent(m[1])).PUBLIC_SETTINGS?.build;
+      if (build != null) return String(build);
+    } catch { /* fall through to the loose match */ }
+  }
+  const b = html.match(/"build"\s*:\s*"?(\d+(?:\.\d+)*)/);
+  return b ? b[1] : null;
+};
+
+// Resolves to { status, build?, melusina?, timeout?, httpStatus? } where status
+// is one of ok | cors | mixed-content | not-sandstorm | unreachable | invalid.
+// probeMessage() turns it into text in the current locale.
+async function probeServer(input, { fetchImpl = fetch, timeoutMs = PROBE_TIMEOUT_MS } = {}) {
+  const url = parseHost(input);
+  if (!url) return { status: "invalid" };
+  const base = sanitizeHost(input);
+
+  if (window.location.protocol === "https:" && url.protocol === "http:" && !isLoopback(url.hostname)) {
+    return { status: "mixed-content" };
+  }
+
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), timeoutMs);
+  const opts = { signal: ctl.signal, credentials: "omit", cache: "no-store" };
+  try {
+    let res;
+    try {
+      res = await fetchImpl(`${base}/`, opts);
+    } catch {
+      if (ctl.signal.aborted) return { status: "unreachable", timeout: timeoutMs / 1000 };
+      // A CORS rejection and a dead host both surface as a TypeError; an
+      // opaque no-cors request succeeds only if something answered.
+      try {
+        await fetchImpl(`${base}/`, { ...opts, mode: "no-cors" });
+        return { status: "cors" };
+      } catch {
+        return { status: "unreachable" };
+      }
+    }
+    if (!res.ok) return { status: "not-sandstorm", httpStatus: res.status };
+    const html = await res.text();
+    if (!/__meteor_runtime_config__/.test(html) || !/sandstorm/i.test(html)) {
+      return { status: "not-sandstorm" };
+    }
+    const build = readSandstormBuild(html);
+    const melusina = /melusina/i.test(html);
+    return { status: "ok", build, melusina };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const probeMessage = (r) => {
+  const kind = r.melusina ? "Melusina" : "Sandstorm";
+  switch (r.status) {
+    case "ok": return r.build ? t("probe.ok.msg", { kind, build: r.build }) : t("probe.okNoBuild.msg", { kind });
+    case "invalid": return t("probe.invalid.msg");
+    case "mixed-content": return t("probe.mixed.msg");
+    case "cors": return t("probe.cors.msg");
+    case "unreachable": return r.timeout ? t("probe.timeout.msg", { seconds: r.timeout }) : t("probe.unreachable.msg");
+    case "not-sandstorm": return r.httpStatus ? t("probe.http.msg", { status: r.httpStatus }) : t("probe.notSandstorm.msg");
+    default: return "";
+  }
+};
+
+// status → [color token, label key]
+const PROBE_LOOK = {
+  checking: ["cyan", "probe.checking"],
+  ok: ["green", "probe.ok"],
+  cors: ["yellow", "probe.cors"],
+  "mixed-content": ["yellow", "probe.mixed"],
+  "not-sandstorm": ["magenta", "probe.notSandstorm"],
+  unreachable: ["magenta", "probe.unreachable"],
+  invalid: ["magenta", "probe.invalid"],
+};
+
+function ProbeStatus({ result, onRecheck }) {
+  if (!result) return null;
+  const [tone, label] = PROBE_LOOK[result.status] || PROBE_LOOK.checking;
+  const color = T[tone];
+  const message = probeMessage(result);
+  const title = result.status === "ok"
+    ? `${result.melusina ? "Melusina" : "Sandstorm"}${result.build ? ` · ${t("probe.build", { build: result.build })}` : ""}`
+    : t(label);
+  return (
+    <div role="status" style={{ marginTop: 4, fontSize: 10, lineHeight: 1.5, fontFamily: "'JetBrains Mono', monospace" }}>
+      <span style={{ display: "inline-flex", alignItems: "center", gap: 6, color }}>
+        <span style={{ width: 5, height: 5, borderRadius: "50%", background: color, boxShadow: `0 0 5px ${color}` }} />
+        {title}
+        {onRecheck && result.status !== "checking" && (
+          <button onClick={onRecheck} title={t("probe.recheck")} aria-label={t("probe.recheckLabel")} style={{
+            background: "none", border: "none", cursor: "pointer", color: T.textDim, fontSize: 11, padding: 0,
+          }}>↻</button>
+        )}
+      </span>
+      {result.status !== "ok" && message && (
+        <div style={{ color: T.textDim, marginTop: 2 }}>{message}</div>
+      )}
+    </div>
+  );
+}
+
+/* ─── Install history ──────────────────────────────────────────────────────── */
+
+const INSTALLS_KEY = "installHistory";
+const MAX_INSTALLS = 500;
+
+const installKey = (server, appId) => `${sanitizeHost(server)}\n${appId}`;
+
+// Catalog build is ahead of what was last installed on that server
+const isBehind = (app, rec) => !!rec && (app.versionNumber ?? 0) > (rec.versionNumber ?? 0);
+
+// Every INSTALL click is logged as { server, appId, packageId, versionNumber,
+// version, name, at }. The store can't see into the server, so this records
+// what the user asked it to install, not what is actually running there.
+function useInstalls() {
+  const [installs, setInstalls] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(INSTALLS_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => { localStorage.setItem(INSTALLS_KEY, JSON.stringify(installs)); }, [installs]);
+
+  const record = useCallback((server, app) => setInstalls((list) => [...list, {
+    server: sanitizeHost(server),
+    appId: app.appId,
+    packageId: app.packageId,
+    versionNumber: app.versionNumber ?? null,
+    version: app.version || "",
+    name: app.name || "",
+    at: Date.now(),
+  }].slice(-MAX_INSTALLS)), []);
+  const forget = useCallback((server, appId) => setInstalls((list) =>
+    list.filter((i) => installKey(i.server, i.appId) !== installKey(server, appId))), []);
+  const clear = useCallback(() => setInstalls([]), []);
+
+  // Most recent install per server + app
+  const latest = useMemo(() => {
+    const m = new Map();
+    installs.forEach((i) => {
+      const k = installKey(i.server, i.appId);
+      if (!m.has(k) || i.at >= m.get(k).at) m.set(k, i);
+    });
+    return m;
+  }, [installs]);
+  const installed = useCallback((server, appId) =>
+    (server && latest.get(installKey(server, appId))) || null, [latest]);
+
+  return { installs, latest, installed, record, forget, clear };
+}
+
+/* ─── Favorites ────────────────────────────────────────────────────────────── */
+
+const FAVORITES_KEY = "favoriteApps";
+
+// Starred appIds in the order they were starred, so a shared list keeps it
+function useFavorites() {
+  const [ids, setIds] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(FAVORITES_KEY));
+      return Array.isArray(saved) ? saved.filter((id) => typeof id === "string") : [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => { localStorage.setItem(FAVORITES_KEY, JSON.stringify(ids)); }, [ids]);
+
+  const has = useCallback((id) => ids.includes(id), [ids]);
+  const toggle = useCallback((id) => setIds((list) =>
+    list.includes(id) ? list.filter((x) => x !== id) : [...list, id]), []);
+  const addAll = useCallback((more) => setIds((list) =>
+    [...list, ...more.filter((id, i) => !list.includes(id) && more.indexOf(id) === i)]), []);
+
+  return { ids, has, toggle, addAll };
+}
+
+function StarButton({ app, favorites, style }) {
+  const on = favorites.has(app.appId);
+  return (
+    <button aria-pressed={on} aria-label={t(on ? "star.unstarLabel" : "star.starLabel", { name: app.name })}
+      title={t(on ? "star.remove" : "star.add")}
+      onClick={(e) => { e.stopPropagation(); favorites.toggle(app.appId); }}
+      onKeyDown={(e) => e.stopPropagation()}
+      style={{
+        width: 30, height: 30, borderRadius: "50%", cursor: "pointer",
+        border: `1px solid ${on ? T.yellow + "88" : T.purple + "33"}`,
+        background: on ? T.yellow + "1f" : T.scrim,
+        color: on ? T.yellow : T.textDim, fontSize: 15, lineHeight: 1,
+        textShadow: on ? `0 0 8px ${T.yellow}88` : "none",
+        transition: "all .2s", ...style,
+      }}>{on ? "★" : "☆"}</button>
+  );
+}
+
+/* ─── Saved servers ────────────────────────────────────────────────────────── */
+
+const SERVERS_KEY = "sandstormServers";
+
+const newServerId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+const serverLabel = (url) => {
+  try { return new URL(sanitizeHost(url)).host; } catch { return url; }
+};
+
+// { servers: [{ id, name, url }], defaultId }. Migrates the single
+// `sandstormHost` value older versions stored.
+const loadServers = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SERVERS_KEY));
+    if (saved && Array.isArray(saved.servers)) return saved;
+  } catch { /* corrupt entry — fall back to legacy key */ }
+  const legacy = localStorage.getItem("sandstormHost");
+  if (!legacy) return { servers: [], defaultId: null };
+  const id = newServerId();
+  return { servers: [{ id, name: serverLabel(legacy), url: sanitizeHost(legacy) }], defaultId: id };
+};
+
+function useServers() {
+  const [state, setState] = useState(loadServers);
+
+  useEffect(() => {
+    localStorage.setItem(SERVERS_KEY, JSON.stringify(state));
+    localStorage.removeItem("sandstormHost");
+  }, [state]);
+
+  const add = useCallback((name, url) => {
+    const id = newServerId();
+    setState((st) => ({
+      servers: [...st.servers, { id, name: name.trim() || serverLabel(url), url: sanitizeHost(url) }],
+      defaultId: st.defaultId || id,
+    }));
+    return id;
+  }, []);
+  const rename = useCallback((id, name) => setState((st) => ({
+    ...st,
+    servers: st.servers.map((s) => (s.id === id && name.trim() ? { ...s, name: name.trim() } : s)),
+  })), []);
+  const remove = useCallback((id) => setState((st) => {
+    const servers = st.servers.filter((s) => s.id !== id);
+    return { servers, defaultId: st.defaultId === id ? servers[0]?.id || null : st.defaultId };
+  }), []);
+  const setDefault = useCallback((id) => setState((st) => ({ ...st, defaultId: id })), []);
+
+  // Make `url` the default, reusing a saved entry for the same address.
+  // Returns an undo callback restoring the previous state.
+  const adopt = useCallback((url) => {
+    let prev;
+    setState((st) => {
+      prev = st;
+      const clean = sanitizeHost(url);
+      const hit = st.servers.find((s) => sanitizeHost(s.url) === clean);
+      if (hit) return { ...st, defaultId: hit.id };
+      const id = newServerId();
+      return { servers: [...st.servers, { id, name: serverLabel(clean), url: clean }], defaultId: id };
+    });
+    return () => prev && setState(prev);
+  }, []);
+
+  // Probe each saved server once per session; results are keyed by URL
+  const [probes, setProbes] = useState({});
+  const probed = React.useRef(new Set());
+  const recheck = useCallback((url) => {
+    probed.current.add(url);
+    setProbes((p) => ({ ...p, [url]: { status: "checking" } }));
+    probeServer(url).then((res) => setProbes((p) => ({ ...p, [url]: res })));
+  }, []);
+  useEffect(() => {
+    state.servers.forEach((s) => { if (!probed.current.has(s.url)) recheck(s.url); });
+  }, [state.servers, recheck]);
+
+  const current = state.servers.find((s) => s.id === state.defaultId) || null;
+  return { servers: state.servers, current, add, rename, remove, setDefault, adopt, probes, recheck };
+}
+
+// Sandstorm's admin UI opens the market as …/?host=<origin>; also accept it in
+// the hash (#host=…, #/app/<id>?host=…). Removes it from the visible URL and
+// returns the host, or null.
+const takeHostHandoff = () => {
+  const url = new URL(window.location.href);
+  let host = url.searchParams.get("host");
+  url.searchParams.delete("host");
+
+  const raw = url.hash.replace(/^#/, "");
+  const hasPath = raw.startsWith("/");
+  const qi = raw.indexOf("?");
+  const path = hasPath ? (qi >= 0 ? raw.slice(0, qi) : raw) : "";
+  const params = new URLSearchParams(hasPath ? (qi >= 0 ? raw.slice(qi + 1) : "") : raw);
+  if (params.has("host")) {
+    host = host || params.get("host");
+    params.delete("host");
+  }
+  const qs = params.toString();
+  url.hash = path || qs ? `${path}${qs ? `?${qs}` : ""}` : "";
+
+  if (!host) return null;
+  window.history.replaceState(window.history.state, "", url.toString());
+  return parseHost(host) ? sanitizeHost(host) : null;
+};
+
+/* ─── Connect-server dropdown ──────────────────────────────────────────────── */
+
+const hostInputStyle = () => ({
+  width: "100%", padding: "10px 12px", background: T.field,
+  border: `1px solid ${T.purple}33`, borderRadius: T.radiusSm, color: T.text,
+  fontSize: 12, outline: "none", transition: "border-color .2s, box-shadow .2s",
+  fontFamily: "'JetBrains Mono', monospace",
+});
+
+const hostInputFocus = {
+  onFocus: (e) => {
+    e.target.style.borderColor = T.cyan + "88";
+    e.target.style.boxShadow = `0 0 15px ${T.accentGlow}`;
+  },
+  onBlur: (e) => {
+    e.target.style.borderColor = T.purple + "33";
+    e.target.style.boxShadow = "none";
+  },
+};
+
+function ServerRow({ server, isDefault, probe, onRecheck, onDefault, onRename, onRemove }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(server.name);
+  const save = () => { onRename(server.id, name); setEditing(false); };
+  const iconBtn = {
+    background: "none", border: "none", cursor: "pointer", padding: "2px 4px",
+    color: T.textDim, fontSize: 12, lineHeight: 1,
+  };
+  return (
+    <div style={{
+      display: "flex", alignItems: "center", gap: 8, padding: "8px 10px",
+      borderRadius: T.radiusSm,
+      border: `1px solid ${isDefault ? T.green + "44" : T.borderLight}`,
+      background: isDefault ? T.green + "0a" : "transparent",
+    }}>
+      <input type="radio" name="default-server" checked={isDefault} onChange={() => onDefault(server.id)}
+        aria-label={t("servers.useDefault", { name: server.name })} style={{ accentColor: T.green, cursor: "pointer" }} />
+      <div style={{ flex: 1, minWidth: 0 }}>
+        {editing ? (
+          <input value={name} autoFocus onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") save(); if (e.key === "Escape") { setName(server.name); setEditing(false); } }}
+            onBlur={save} aria-label={t("servers.name")}
+            style={{ ...hostInputStyle(), padding: "4px 8px" }} />
+        ) : (
+          <div style={{ fontSize: 12, fontWeight: 600, color: isDefault ? T.green : T.text, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+            {server.name}
+          </div>
+        )}
+        <div style={{ fontSize: 10, color: T.textDim, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", fontFamily: "'JetBrains Mono', monospace" }}>
+          {server.url}
+        </div>
+        <ProbeStatus result={probe} onRecheck={() => onRecheck(server.url)} />
+      </div>
+      {!editing && <button onClick={() => setEditing(true)} title={t("servers.rename")} aria-label={t("servers.renameLabel", { name: server.name })} style={iconBtn}>✎</button>}
+      <button onClick={() => onRemove(server.id)} title={t("servers.delete")} aria-label={t("servers.deleteLabel", { name: server.name })} style={iconBtn}>×</button>
+    </div>
+  );
+}
+
+function HostBar({ servers }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const { current } = servers;
+  const ok = !!current;
+  const currentProbe = current && servers.probes[current.url];
+  const dot = currentProbe ? T[(PROBE_LOOK[currentProbe.status] || PROBE_LOOK.checking)[0]] : ok ? T.green : T.cyan;
+
+  // Probe the address being typed, debounced
+  const [draftProbe, setDraftProbe] = useState(null);
+  useEffect(() => {
+    if (!url.trim()) { setDraftProbe(null); return; }
+    let live = true;
+    const timer = setTimeout(() => {
+      setDraftProbe({ status: "checking" });
+      probeServer(url).then((res) => live && setDraftProbe(res));
+    }, 600);
+    return () => { live = false; clearTimeout(timer); };
+  }, [url]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!url.trim()) return;
+    servers.add(name, url);
+    setName("");
+    setUrl("");
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen(!open)} aria-expanded={open} style={{
+        display: "flex", alignItems: "center", gap: 8, padding: "8px 16px",
+        border: `1px solid ${ok ? T.green + "66" : T.cyan + "33"}`,
+        borderRadius: T.radiusSm, background: ok ? T.green + "11" : T.field,
+        cursor: "pointer", fontSize: 12, color: ok ? T.green : T.cyan,
+        fontFamily: "'JetBrains Mono', monospace", fontWeight: 600,
+        letterSpacing: ".05em", textTransform: "uppercase",
+        transition: "all .3s ease",
+        textShadow: `0 0 8px ${ok ? T.greenGlow : T.accentGlow}`,
+        boxShadow: `0 0 10px ${ok ? T.greenGlow : T.accentGlow}`,
+        maxWidth: 220,
+      }}>
+        <span title={currentProbe ? probeMessage(currentProbe) : ""} style={{
+          width: 6, height: 6, borderRadius: "50%", flexShrink: 0,
+          background: dot,
+          boxShadow: `0 0 6px ${dot}`,
+        }} />
+        <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+          {ok ? current.name : t("hostbar.connect")}
+        </span>
+        <span style={{ fontSize: 8, opacity: .6 }}>▾</span>
+      </button>
+      {open && (
+        <>
+          <div onClick={() => setOpen(false)} style={{ position: "fixed", inset: 0, zIndex: 99 }} />
+          <div style={{
+            position: "absolute", right: 0, top: "calc(100% + 8px)",
+            background: T.popover,
+            border: `1px solid ${T.purple}44`,
+            borderRadius: T.radius,
+            padding: 20, zIndex: 100, width: 340, maxWidth: "calc(100vw - 32px)",
+            boxShadow: `0 0 30px ${T.magentaGlow}, 0 20px 60px rgba(0,0,0,.4)`,
+            backdropFilter: "blur(24px) saturate(1.3)", WebkitBackdropFilter: "blur(24px) saturate(1.3)",
+            animation: "pop .15s ease-out",
+          }}>
+            {servers.servers.length > 0 && (
+              <>
+                <div style={{
+                  fontSize: 10, fontWeight: 700, textTransform: "uppercase",
+                  letterSpacing: ".12em", color: T.cyan, marginBottom: 10,
+                  fontFamily: "'Orbitron', sans-serif",
+                  textShadow: `0 0 6px ${T.accentGlow}`,
+                }}>{t("hostbar.saved")}</div>
+                <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 18 }}>
+                  {servers.servers.map((s) => (
+                    <ServerRow key={s.id} server={s} isDefault={s.id === current?.id}
+                      probe={servers.probes[s.url]} onRecheck={servers.recheck}
+                      onDefault={servers.setDefault} onRename={servers.rename} onRemove={servers.remove} />
+                  ))}
+                </div>
+              </>
+            )}
+            <form onSubmit={submit}>
+              <label style={{
+                display: "block", fontSize: 10, fontWeight: 700, textTransform: "uppercase",
+                letterSpacing: ".12em", color: T.cyan, marginBottom: 10,
+                fontFamily: "'Orbitron', sans-serif",
+                textShadow: `0 0 6px ${T.accentGlow}`,
+              }}>{t(servers.servers.length ? "hostbar.addServer" : "hostbar.endpoint")}</label>
+              <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                <input type="url" placeholder="https://sandstorm.example.com" value={url}
+                  onChange={(e) => setUrl(e.target.value)} autoFocus={!servers.servers.length}
+                  aria-label={t("servers.url")} style={hostInputStyle()} {...hostInputFocus} />
+                <div style={{ display: "flex", gap: 8 }}>
+                  <input type="text" placeholder={t("hostbar.namePlaceholder")} value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    aria-label={t("servers.name")} style={{ ...hostInputStyle(), flex: 1 }} {...hostInputFocus} />
+                  <button type="submit" disabled={!url.trim()} style={{
+                    padding: "0 16px", borderRadius: T.radiusSm, cursor: url.trim() ? "pointer" : "default",
+                    border: `1px solid ${T.cyan}55`, background: T.cyan + "15", color: T.cyan,
+                    fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+                    fontFamily: "'JetBrains Mono', monospace",
+                    opacity: url.trim() ? 1 : .5,
+                  }}>{t("hostbar.add")}</button>
+                </div>
+              </div>
+              <ProbeStatus result={draftProbe} />
+            </form>
+            <p style={{
+              fontSize: 11, color: T.textDim, marginTop: 10, lineHeight: 1.6,
+              fontFamily: "'JetBrains Mono', monospace",
+            }}>
+              {servers.servers.length > 1 ? t("hostbar.helpMulti") : t("hostbar.help")}
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ─── Install-to-server picker ─────────────────────────────────────────────── */
+
+// Caret next to an INSTALL button listing every saved server. Opens upward
+// inside cards (which clip overflow) and downward on the detail page.
+function InstallPicker({ app, servers, installs, up = false }) {
+  const [open, setOpen] = useState(false);
+  if (servers.servers.length < 2) return null;
+  const stop = (e) => e.stopPropagation();
+  return (
+    <span style={{ position: "relative", display: "inline-flex" }} onClick={stop}
+      onKeyDown={(e) => { stop(e); if (e.key === "Escape") setOpen(false); }}>
+      <button onClick={() => setOpen(!open)} aria-haspopup="menu" aria-expanded={open}
+        aria-label={t("picker.label", { name: app.name })} style={{
+          padding: "0 8px", height: "100%", minHeight: 28, cursor: "pointer",
+          border: `1px solid ${T.cyan}66`, borderRadius: T.radiusSm,
+          background: T.cyan + "15", color: T.cyan, fontSize: 10,
+        }}>▾</button>
+      {open && (
+        <>
+          <div onClick={() => setOpen(false)} style={{ position: "fixed", inset: 0, zIndex: 99 }} />
+          <div role="menu" style={{
+            position: "absolute", right: 0, [up ? "bottom" : "top"]: "calc(100% + 6px)",
+            zIndex: 100, minWidth: 220, padding: 6,
+            background: T.popover, border: `1px solid ${T.purple}44`,
+            borderRadius: T.radiusSm,
+            boxShadow: `0 0 20px ${T.magentaGlow}, 0 12px 40px rgba(0,0,0,.4)`,
+            animation: "pop .12s ease-out",
+          }}>
+            <div style={{
+              padding: "6px 10px", fontSize: 9, fontWeight: 700, letterSpacing: ".12em",
+              color: T.textDim, fontFamily: "'Orbitron', sans-serif",
+            }}>{t("picker.title")}</div>
+            {servers.servers.map((s) => (
+              <a key={s.id} role="menuitem" href={installUrl(s.url, app)} target="_blank" rel="noreferrer"
+                onClick={() => { installs.record(s.url, app); setOpen(false); }}
+                style={{
+                  display: "block", padding: "8px 10px", borderRadius: 3, textDecoration: "none",
+                  color: s.id === servers.current?.id ? T.green : T.text, fontSize: 12,
+                }}>
+                {s.name}
+                <span style={{ display: "block", fontSize: 10, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>
+                  {serverLabel(s.url)}{s.id === servers.current?.id ? ` · ${t("picker.default")}` : ""}
+                  {isBehind(app, installs.installed(s.url, app.appId)) ? ` · ${t("picker.update")}` : ""}
+                </span>
+              </a>
+            ))}
+          </div>
+        </>
+      )}
+    </span>
+  );
+}
+
+/* ─── Card Slideshow ────────────────────────────────────────────────────────── */
+
+// Clips play muted and inline with native controls. Nothing is downloaded
+// before playback unless autoPlay is asked for, and a clip pauses when its
+// slide is no longer shown.
+function ShotClip({ appId, shot, posterWidth, active = true, autoPlay = false, ...rest }) {
+  const ref = React.useRef(null);
+  useEffect(() => { if (!active) ref.current?.pause(); }, [active]);
+  return (
+    <video ref={ref} src={screenshotUrl(appId, shot)} poster={posterSrc(appId, shot, posterWidth)}
+      width={shot.width} height={shot.height} tabIndex={active ? 0 : -1}
+      muted playsInline controls autoPlay={autoPlay} preload={autoPlay ? "auto" : "none"} {...rest} />
+  );
+}
+
+const autoPlayClips = () => !window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+
+// A screenshot at the size the layout asks for (`sizes`): browsers pick a WebP
+// rendition and only fall back to the full original without WebP support.
+// width/height reserve the box before the image arrives.
+function ShotImage({ appId, shot, sizes, ...rest }) {
+  const srcSet = typeof shot === "string" ? "" : shotSrcSet(appId, shot);
+  const img = <img src={screenshotUrl(appId, shot)} width={shot.width} height={shot.height} decoding="async" {...rest} />;
+  if (!srcSet) return img;
+  return (
+    <picture style={{ display: "contents" }}>
+      <source type="image/webp" srcSet={srcSet} sizes={sizes} />
+      {img}
+    </picture>
+  );
+}
+
+function CardSlideshow({ app, shots }) {
+  const [idx, setIdx] = useState(0);
+  const total = 1 + shots.length; // icon + screenshots
+
+  const startX = React.useRef(null);
+  const onTouchStart = (e) => { startX.current = e.touches[0].clientX; };
+  const onTouchEnd = (e) => {
+    if (startX.current === null) return;
+    const dx = e.changedTouches[0].clientX - startX.current;
+    if (Math.abs(dx) > 40) {
+      if (dx < 0 && idx < total - 1) setIdx(idx + 1);
+      else if (dx > 0 && idx > 0) setIdx(idx - 1);
+    }
+    startX.current = null;
+  };
+
+  const go = (e, i) => { e.stopPropagation(); if (i >= 0 && i < total) setIdx(i); };
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowLeft") go(e, idx - 1);
+    else if (e.key === "ArrowRight") go(e, idx + 1);
+    else return;
+    e.preventDefault();
+  };
+  const slideLabel = (i) => t("a11y.slide", { n: i + 1, total });
+
+  return (
+    <div className="card-slideshow" role="group" aria-roledescription="carousel"
+      aria-label={t("a11y.carousel", { name: app.name })}
+      onTouchStart={onTouchStart} onTouchEnd={onTouchEnd} onKeyDown={onKeyDown}>
+      <div className="card-slideshow-track" style={{ transform: `translateX(-${idx * 100}%)` }}>
+        {/* slide 0: app icon */}
+        <div className="card-slideshow-slide" role="group" aria-roledescription="slide"
+          aria-label={slideLabel(0)} aria-hidden={idx !== 0}>
+          <div className="card-slideshow-icon">
+            <AppIcon app={app} size={72} />
+          </div>
+        </div>
+        {/* slides 1+: screenshots */}
         {shots.map((s, i) => (
-          <div key={i} className="card-slideshow-slide">
-            <img src={screenshotUrl(app.appId, s)}
-              alt={shotCaption(s) || `Screenshot ${i + 1}`}
-              loading="lazy"
-              onError={(e) => { e.target.style.display = "none"; }}
-            />
+          <div key={i} className="card-slideshow-slide" role="group" aria-roledescription="slide"
+            aria-label={slideLabel(i + 1)} aria-hidden={idx !== i + 1}>
+            {isClip(s) ? (
+              <ShotClip appId={app.appId} shot={s} posterWidth={480} active={idx === i + 1}
+                aria-label={shotCaption(s) || t("gallery.clip", { n: i + 1 })}
+                onClick={(e) => e.stopPropagation()} />
+            ) : (
+              <ShotImage appId={app.appId} shot={s} sizes="(max-width: 700px) 100vw, 400px"
+                alt={shotCaption(s) || t("gallery.screenshot", { n: i + 1 })}
+                loading="lazy"
+                onError={(e) => { e.target.style.display = "none"; }}
+              />
+            )}
           </div>
         ))}
       </div>
-      {/* dots */}
+      {/* dots: pointer shortcuts only, keyboard users have the arrows */}
       {total > 1 && (
         <div className="card-slideshow-dots">
           {Array.from({ length: total }).map((_, i) => (
-            <button key={i} className={`card-slideshow-dot${i === idx ? ' active' : ''}`}
-              onClick={(e) => { e.stopPropagation(); setIdx(i); }} />
+            <button key={i} className={`card-slideshow-dot${i === idx ? ' active' : ''}`} tabIndex={-1}
+              aria-label={slideLabel(i)} aria-current={i === idx || undefined}
+              onClick={(e) => go(e, i)} />
           ))}
         </div>
       )}
-      {/* prev/next arrows */}
-      {total > 1 && idx > 0 && (
-        <button className="card-slideshow-nav prev"
-          onClick={(e) => { e.stopPropagation(); setIdx(idx - 1); }}>‹</button>
-      )}
-      {total > 1 && idx < total - 1 && (
-        <button className="card-slideshow-nav next"
-          onClick={(e) => { e.stopPropagation(); setIdx(idx + 1); }}>›</button>
+      {/* prev/next arrows stay mounted at the ends so keyboard focus isn't dropped */}
+      {total > 1 && (
+        <>
+          <button className="card-slideshow-nav prev" aria-label={t("a11y.prevSlide")} aria-disabled={idx === 0}
+            onClick={(e) => go(e, idx - 1)}>‹</button>
+          <button className="card-slideshow-nav next" aria-label={t("a11y.nextSlide")} aria-disabled={idx === total - 1}
+            onClick={(e) => go(e, idx + 1)}>›</button>
+          <span className="sr-only" aria-live="polite">{idx > 0 && (shotCaption(shots[idx - 1]) || slideLabel(idx))}</span>
+        </>
       )}
     </div>
   );
@@ -417,16 +1940,21 @@ function CardSlideshow({ app, shots }) {
 
 /* ─── App Card ─────────────────────────────────────────────────────────────── */
 
-function AppCard({ app, onSelect, host }) {
+function AppCard({ app, onSelect, host, servers, installs, favorites, compare, highlight }) {
   const [hov, setHov] = useState(false);
   const url = installUrl(host, app);
+  const rec = installs.installed(host, app.appId);
+  const behind = isBehind(app, rec);
   const shots = (app.screenshots || []).slice(0, 5);
 
   return (
-    <div role="button" tabIndex={0}
+    // The title link is the keyboard/screen-reader entry point; the rest of the
+    // card is a larger pointer target for the same action.
+    <article aria-labelledby={`card-${app.appId}`}
       onClick={() => onSelect(app.appId)}
-      onKeyDown={(e) => e.key === "Enter" && onSelect(app.appId)}
       onMouseEnter={() => setHov(true)} onMouseLeave={() => setHov(false)}
+      onFocus={() => setHov(true)}
+      onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setHov(false)}
       style={{
         position: "relative",
         background: hov ? T.cardHover : T.card,
@@ -445,7 +1973,7 @@ function AppCard({ app, onSelect, host }) {
     >
       {/* scan line on hover */}
       {hov && (
-        <div style={{
+        <div className="scan-line" style={{
           position: "absolute", inset: 0, zIndex: 1, pointerEvents: "none",
           overflow: "hidden", borderRadius: T.radius,
         }}>
@@ -459,6 +1987,8 @@ function AppCard({ app, onSelect, host }) {
 
       {/* slideshow: icon first, then screenshots */}
       <CardSlideshow app={app} shots={shots} />
+      <StarButton app={app} favorites={favorites} style={{ position: "absolute", top: 10, right: 10, zIndex: 3 }} />
+      <CompareToggle app={app} compare={compare} style={{ position: "absolute", top: 46, right: 10, zIndex: 3 }} />
 
       <div style={{ padding: "14px 16px 16px", display: "flex", flexDirection: "column", gap: 10, flex: 1, position: "relative", zIndex: 2 }}>
         <div style={{ flex: 1, minWidth: 0 }}>
@@ -467,16 +1997,22 @@ function AppCard({ app, onSelect, host }) {
             fontFamily: "'Orbitron', sans-serif",
             color: hov ? T.cyan : T.text,
             textShadow: hov ? `0 0 10px ${T.accentGlow}` : "none",
-            overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
             transition: "color .3s, text-shadow .3s",
             letterSpacing: ".02em",
-          }}>{app.name}</h3>
+          }}>
+            <a id={`card-${app.appId}`} href={routeHash({ appId: app.appId })} data-focus-key={`app:${app.appId}`}
+              onClick={(e) => { e.preventDefault(); e.stopPropagation(); onSelect(app.appId); }}
+              style={{
+                display: "block", color: "inherit", textDecoration: "none",
+                overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+              }}>{highlightText(app.name, highlight)}</a>
+          </h3>
           <p style={{
             fontSize: 12, color: T.textSec, margin: "6px 0 0", lineHeight: 1.5,
             display: "-webkit-box", WebkitLineClamp: 3, WebkitBoxOrient: "vertical",
             overflow: "hidden",
           }}>
-            <SimpleMarkdown text={app.shortDescription || app.summary || ""} />
+            <Markdown text={app.shortDescription || app.summary || ""} appId={app.appId} inline highlight={highlight} />
           </p>
         </div>
 
@@ -485,37 +2021,42 @@ function AppCard({ app, onSelect, host }) {
           gap: 8, marginTop: "auto",
         }}>
           <div style={{ display: "flex", gap: 6, flexWrap: "wrap", minWidth: 0 }}>
-            {(app.categories || []).slice(0, 2).map((c) => <Badge key={c}>{c}</Badge>)}
+            {behind ? <Badge neon={T.yellow}>{t("badge.update")}</Badge> : rec && <Badge neon={T.green}>{t("badge.installed")}</Badge>}
+            {(app.categories || []).slice(0, rec ? 1 : 2).map((c) => <Badge key={c}>{c}</Badge>)}
           </div>
           {url ? (
-            <a href={url} target="_blank" rel="noreferrer"
-              onClick={(e) => e.stopPropagation()}
-              style={{
-                display: "inline-flex", alignItems: "center", gap: 5,
-                padding: "7px 18px",
-                background: `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`,
-                border: `1px solid ${T.cyan}66`,
-                color: T.cyan,
-                fontFamily: "'Orbitron', sans-serif",
-                fontWeight: 700, fontSize: 10, letterSpacing: ".1em",
-                textTransform: "uppercase",
-                borderRadius: T.radiusSm, whiteSpace: "nowrap",
-                textDecoration: "none",
-                textShadow: `0 0 8px ${T.accentGlow}`,
-                boxShadow: `0 0 12px ${T.accentGlow}`,
-                transition: "all .2s",
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.background = T.cyan + "33";
-                e.currentTarget.style.boxShadow = `0 0 25px ${T.accentGlow}`;
-                e.currentTarget.style.transform = "scale(1.05)";
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.background = `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`;
-                e.currentTarget.style.boxShadow = `0 0 12px ${T.accentGlow}`;
-                e.currentTarget.style.transform = "none";
-              }}
-            >INSTALL</a>
+            <span style={{ display: "inline-flex", alignItems: "stretch", gap: 4 }}>
+              <a href={url} target="_blank" rel="noreferrer"
+                onClick={(e) => { e.stopPropagation(); installs.record(host, app); }}
+                title={behind ? t("card.behind", { installed: rec.versionNumber, latest: app.versionNumber }) : undefined}
+                style={{
+                  display: "inline-flex", alignItems: "center", gap: 5,
+                  padding: "7px 18px",
+                  background: `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`,
+                  border: `1px solid ${T.cyan}66`,
+                  color: T.cyan,
+                  fontFamily: "'Orbitron', sans-serif",
+                  fontWeight: 700, fontSize: 10, letterSpacing: ".1em",
+                  textTransform: "uppercase",
+                  borderRadius: T.radiusSm, whiteSpace: "nowrap",
+                  textDecoration: "none",
+                  textShadow: `0 0 8px ${T.accentGlow}`,
+                  boxShadow: `0 0 12px ${T.accentGlow}`,
+                  transition: "all .2s",
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.background = T.cyan + "33";
+                  e.currentTarget.style.boxShadow = `0 0 25px ${T.accentGlow}`;
+                  e.currentTarget.style.transform = "scale(1.05)";
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.background = `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`;
+                  e.currentTarget.style.boxShadow = `0 0 12px ${T.accentGlow}`;
+                  e.currentTarget.style.transform = "none";
+                }}
+              >{t(behind ? "action.update" : "action.install")}</a>
+              <InstallPicker app={app} servers={servers} installs={installs} up />
+            </span>
           ) : (
             <span style={{
               fontSize: 11, color: T.cyan + "88",
@@ -528,7 +2069,7 @@ function AppCard({ app, onSelect, host }) {
           )}
         </div>
       </div>
-    </div>
+    </article>
   );
 }
 
@@ -538,32 +2079,35 @@ function ScreenshotGallery({ screenshots, appId }) {
   const [lightbox, setLightbox] = useState(null);
   if (!screenshots || screenshots.length === 0) return null;
 
-  const prev = () => setLightbox((i) => (i > 0 ? i - 1 : screenshots.length - 1));
-  const next = () => setLightbox((i) => (i < screenshots.length - 1 ? i + 1 : 0));
+  const altText = (s, i) => shotCaption(s) || t(isClip(s) ? "gallery.clip" : "gallery.screenshot", { n: i + 1 });
 
   return (
     <>
       <div style={{ marginBottom: 28 }}>
-        <div style={{
-          fontSize: 10, fontWeight: 700, textTransform: "uppercase",
-          letterSpacing: ".14em", color: T.cyan, marginBottom: 14,
+        <h2 style={{
+          fontSize: 10, fontWeight: 700, textTransform: "uppercase", margin: "0 0 14px",
+          letterSpacing: ".14em", color: T.cyan,
           fontFamily: "'Orbitron', sans-serif",
           textShadow: `0 0 6px ${T.accentGlow}`,
           display: "flex", alignItems: "center", gap: 10,
         }}>
           <span style={{ width: 16, height: 1, background: T.cyan, boxShadow: `0 0 4px ${T.cyan}` }} />
-          SCREENSHOTS
-        </div>
+          {t("gallery.title")}
+        </h2>
         <div className="ss-strip">
           {screenshots.map((s, i) => (
             <div key={i} style={{ flexShrink: 0, display: "flex", flexDirection: "column", gap: 6 }}>
-              <img src={screenshotUrl(appId, s)} alt={shotCaption(s) || `Screenshot ${i + 1}`}
-                onClick={() => setLightbox(i)}
-                style={{ width: 320, height: 200 }}
-                onError={(e) => { e.target.parentElement.style.display = "none"; }}
-              />
+              <button className="ss-thumb" onClick={() => setLightbox(i)} aria-haspopup="dialog">
+                <ShotImage appId={appId} shot={isClip(s) ? s.poster : s} sizes="320px" alt={altText(s, i)} loading="lazy"
+                  style={{ width: 320, height: 200, display: "block", objectFit: "cover" }}
+                  onError={(e) => { e.target.closest(".ss-thumb").parentElement.style.display = "none"; }}
+                />
+                {isClip(s) && (
+                  <span className="ss-play" aria-hidden="true">▶{s.duration ? ` ${fmtDuration(s.duration)}` : ""}</span>
+                )}
+              </button>
               {shotCaption(s) && (
-                <span style={{ fontSize: 11, color: T.textDim, maxWidth: 320, lineHeight: 1.4,
+                <span aria-hidden="true" style={{ fontSize: 11, color: T.textDim, maxWidth: 320, lineHeight: 1.4,
                   fontFamily: "'JetBrains Mono', monospace" }}>
                   {shotCaption(s)}
                 </span>
@@ -573,96 +2117,271 @@ function ScreenshotGallery({ screenshots, appId }) {
         </div>
       </div>
       {lightbox !== null && (
-        <div className="lightbox-overlay" onClick={() => setLightbox(null)}>
-          {screenshots.length > 1 && (
-            <button onClick={(e) => { e.stopPropagation(); prev(); }} style={{
-              position: "absolute", left: 16, top: "50%", transform: "translateY(-50%)",
-              background: "rgba(0,240,255,0.1)", border: `1px solid ${T.cyan}44`,
-              color: T.cyan, width: 48, height: 48, borderRadius: 3,
-              fontSize: 22, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center",
-              textShadow: `0 0 8px ${T.cyan}`, transition: "all .2s",
-              boxShadow: `0 0 15px ${T.accentGlow}`,
-            }}
-              onMouseEnter={(e) => { e.currentTarget.style.background = T.cyan + "22"; }}
-              onMouseLeave={(e) => { e.currentTarget.style.background = "rgba(0,240,255,0.1)"; }}
-            >‹</button>
-          )}
-          <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 14, maxWidth: "92vw" }}>
-            <img src={screenshotUrl(appId, screenshots[lightbox])} alt="" onClick={(e) => e.stopPropagation()} style={{ cursor: "default" }} />
-            {shotCaption(screenshots[lightbox]) && (
-              <p style={{ color: T.cyan + "cc", fontSize: 13, textAlign: "center", maxWidth: 600,
-                fontFamily: "'JetBrains Mono', monospace",
-                textShadow: `0 0 6px ${T.accentGlow}`,
-              }}>
-                {shotCaption(screenshots[lightbox])}
-              </p>
-            )}
-            <span style={{ color: T.textDim, fontSize: 11, fontFamily: "'JetBrains Mono', monospace" }}>
-              {lightbox + 1} / {screenshots.length}
-            </span>
-          </div>
-          {screenshots.length > 1 && (
-            <button onClick={(e) => { e.stopPropagation(); next(); }} style={{
-              position: "absolute", right: 16, top: "50%", transform: "translateY(-50%)",
-              background: "rgba(0,240,255,0.1)", border: `1px solid ${T.cyan}44`,
-              color: T.cyan, width: 48, height: 48, borderRadius: 3,
-              fontSize: 22, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center",
-              textShadow: `0 0 8px ${T.cyan}`, transition: "all .2s",
-              boxShadow: `0 0 15px ${T.accentGlow}`,
-            }}
-              onMouseEnter={(e) => { e.currentTarget.style.background = T.cyan + "22"; }}
-              onMouseLeave={(e) => { e.currentTarget.style.background = "rgba(0,240,255,0.1)"; }}
-            >›</button>
-          )}
-        </div>
+        <Lightbox shots={screenshots} appId={appId} index={lightbox} altText={altText}
+          onIndex={setLightbox} onClose={() => setLightbox(null)} />
       )}
     </>
   );
 }
 
-/* ─── Simple Markdown ──────────────────────────────────────────────────────── */
-
-function SimpleMarkdown({ text }) {
-  if (!text) return null;
-  const parseInline = (str) => {
-    const parts = [];
-    let rest = str, k = 0;
-    while (rest.length > 0) {
-      let m;
-      if ((m = rest.match(/^\*\*(.+?)\*\*/))) {
-        parts.push(<strong key={k++}>{m[1]}</strong>);
-        rest = rest.slice(m[0].length);
-      } else if ((m = rest.match(/^`(.+?)`/))) {
-        parts.push(<code key={k++}>{m[1]}</code>);
-        rest = rest.slice(m[0].length);
-      } else if ((m = rest.match(/^\[(.+?)\]\((.+?)\)/))) {
-        parts.push(<a key={k++} href={m[2]} target="_blank" rel="noreferrer">{m[1]}</a>);
-        rest = rest.slice(m[0].length);
-      } else {
-        const nx = rest.slice(1).search(/\*\*|`|\[/);
-        if (nx >= 0) { parts.push(rest.slice(0, nx + 1)); rest = rest.slice(nx + 1); }
-        else { parts.push(rest); rest = ''; }
-      }
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Modal behaviour for an overlay: focus moves in on open, Tab cycles inside,
+// Escape closes, and focus goes back to whatever opened it on close.
+function useDialog(ref, onClose) {
+  const closeRef = React.useRef(onClose);
+  closeRef.current = onClose;
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const node = ref.current;
+    (node.querySelector("[data-autofocus]") || node).focus();
+    return () => { if (opener?.isConnected) opener.focus(); };
+  }, [ref]);
+
+  return useCallback((e) => {
+    if (e.key === "Escape") {
+      // keep page-level Escape handlers (close detail page) out of it
+      e.stopPropagation();
+      closeRef.current();
+    } else if (e.key === "Tab") {
+      const items = Array.from(ref.current.querySelectorAll(FOCUSABLE));
+      if (!items.length) { e.preventDefault(); return; }
+      const first = items[0], last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === ref.current)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
     }
-    return parts.length === 1 && typeof parts[0] === 'string' ? parts[0] : parts;
+  }, [ref]);
+}
+
+function Lightbox({ shots, appId, index, altText, onIndex, onClose }) {
+  const ref = React.useRef(null);
+  const onDialogKey = useDialog(ref, onClose);
+  const many = shots.length > 1;
+  const prev = () => onIndex((i) => (i > 0 ? i - 1 : shots.length - 1));
+  const next = () => onIndex((i) => (i < shots.length - 1 ? i + 1 : 0));
+  const caption = shotCaption(shots[index]);
+
+  const onKeyDown = (e) => {
+    // a focused clip keeps its own keys (seek, play/pause)
+    if (e.target.tagName === "VIDEO" && e.key !== "Escape" && e.key !== "Tab") return;
+    if (e.key === "ArrowLeft" && many) prev();
+    else if (e.key === "ArrowRight" && many) next();
+    else if (e.key === "Home") onIndex(0);
+    else if (e.key === "End") onIndex(shots.length - 1);
+    else return onDialogKey(e);
+    e.preventDefault();
+  };
+
+  const navBtn = (side) => ({
+    position: "absolute", [side]: 16, top: "50%", transform: "translateY(-50%)",
+    background: T.cyan + "1a", border: `1px solid ${T.cyan}44`,
+    color: T.cyan, width: 48, height: 48, borderRadius: 3,
+    fontSize: 22, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center",
+    textShadow: `0 0 8px ${T.cyan}`, transition: "all .2s",
+    boxShadow: `0 0 15px ${T.accentGlow}`,
+  });
+  const hover = {
+    onMouseEnter: (e) => { e.currentTarget.style.background = T.cyan + "22"; },
+    onMouseLeave: (e) => { e.currentTarget.style.background = T.cyan + "1a"; },
   };
-  const lines = text.split('\n');
-  const els = [];
-  let i = 0, k = 0;
-  while (i < lines.length) {
-    const ln = lines[i];
-    if (ln.startsWith('### ')) { els.push(<h4 key={k++}>{parseInline(ln.slice(4))}</h4>); i++; }
-    else if (ln.startsWith('## ')) { els.push(<h3 key={k++}>{parseInline(ln.slice(3))}</h3>); i++; }
-    else if (ln.startsWith('# ')) { els.push(<h2 key={k++}>{parseInline(ln.slice(2))}</h2>); i++; }
-    else if (ln.match(/^[-*] /)) {
-      const items = [];
-      while (i < lines.length && lines[i].match(/^[-*] /)) { items.push(lines[i].replace(/^[-*] /, '')); i++; }
-      els.push(<ul key={k++}>{items.map((it, j) => <li key={j}>{parseInline(it)}</li>)}</ul>);
+
+  return (
+    <div ref={ref} className="lightbox-overlay" role="dialog" aria-modal="true" aria-label={t("gallery.viewer")}
+      tabIndex={-1} onClick={onClose} onKeyDown={onKeyDown}>
+      <button data-autofocus aria-label={t("action.close")} onClick={(e) => { e.stopPropagation(); onClose(); }}
+        style={{ ...navBtn("right"), top: 16, transform: "none", width: 40, height: 40, fontSize: 18 }} {...hover}>✕</button>
+      {many && (
+        <button aria-label={t("gallery.prev")} onClick={(e) => { e.stopPropagation(); prev(); }} style={navBtn("left")} {...hover}>‹</button>
+      )}
+      <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 14, maxWidth: "92vw" }}>
+        {isClip(shots[index]) ? (
+          <ShotClip key={index} appId={appId} shot={shots[index]} posterWidth={1280} autoPlay={autoPlayClips()}
+            aria-label={altText(shots[index], index)} onClick={(e) => e.stopPropagation()} style={{ cursor: "default" }} />
+        ) : (
+          // the only place the full-size original is loaded
+          <img src={screenshotUrl(appId, shots[index])} width={shots[index].width} height={shots[index].height}
+            alt={altText(shots[index], index)} onClick={(e) => e.stopPropagation()} style={{ cursor: "default" }} />
+        )}
+        {caption && (
+          <p aria-hidden="true" style={{ color: T.cyan + "cc", fontSize: 13, textAlign: "center", maxWidth: 600,
+            fontFamily: "'JetBrains Mono', monospace",
+            textShadow: `0 0 6px ${T.accentGlow}`,
+          }}>
+            {caption}
+          </p>
+        )}
+        <span aria-live="polite" style={{ color: T.textDim, fontSize: 11, fontFamily: "'JetBrains Mono', monospace" }}>
+          {index + 1} / {shots.length}
+        </span>
+      </div>
+      {many && (
+        <button aria-label={t("gallery.next")} onClick={(e) => { e.stopPropagation(); next(); }} style={navBtn("right")} {...hover}>›</button>
+      )}
+    </div>
+  );
+}
+
+/* ─── Markdown ───────────────────────────────────────────────────────────── */
+
+// Descriptions, docs and FAQ answers come from third-party submodules: they are
+// rendered as GFM and then sanitized against a strict allow-list. Relative
+// links and images point into the app's published content (see build-store.sh).
+
+Object.entries({
+  bash, css: cssLang, diff, dockerfile, go: golang, ini, javascript, json,
+  python, rust, sql, typescript, xml, yaml,
+}).forEach(([name, lang]) => hljs.registerLanguage(name, lang));
+
+const escapeHtml = (s) => s.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// GitHub-style heading slugs: lowercase, punctuation dropped, spaces → dashes
+const slugify = (s) => s.toLowerCase().trim()
+  .replace(/[^\p{L}\p{N}\s-]/gu, "")
+  .replace(/\s+/g, "-") || "section";
+
+// State for the render in progress (rendering is synchronous)
+let mdSlugs = new Map();
+let mdContext = {};
+
+const uniqueSlug = (text) => {
+  const base = slugify(text);
+  const n = mdSlugs.get(base) || 0;
+  mdSlugs.set(base, n + 1);
+  return n ? `${base}-${n}` : base;
+};
+
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    // The page title is the app name (h1), so document headings start at h2
+    heading({ tokens, depth, text }) {
+      const level = Math.min(depth + 1, 6);
+      const slug = uniqueSlug(text);
+      return `<h${level} id="md-${slug}">${this.parser.parseInline(tokens)}<a class="md-anchor" href="#${slug}" aria-hidden="true" tabindex="-1">#</a></h${level}>\n`;
+    },
+    code({ text, lang }) {
+      const language = (lang || "").split(/\s/)[0].toLowerCase();
+      const body = hljs.getLanguage(language)
+        ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+        : escapeHtml(text);
+      return `<pre><code class="hljs${language ? ` language-${language}` : ""}">${body}</code></pre>\n`;
+    },
+  },
+});
+
+// Heading slugs of a document, in the same order and with the same
+// de-duplication the renderer uses
+const headingSlugs = (md) => {
+  mdSlugs = new Map();
+  return markdown.lexer(md || "").filter((tk) => tk.type === "heading").map((tk) => uniqueSlug(tk.text));
+};
+
+const MD_PURIFY = {
+  ALLOWED_TAGS: [
+    "a", "abbr", "b", "blockquote", "br", "code", "del", "details", "em",
+    "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "input", "kbd", "li", "mark",
+    "ol", "p", "pre", "s", "span", "strong", "sub", "summary", "sup",
+    "table", "tbody", "td", "th", "thead", "tr", "ul",
+  ],
+  ALLOWED_ATTR: [
+    "href", "src", "alt", "title", "id", "class", "align", "start", "type", "checked",
+    "disabled", "colspan", "rowspan", "width", "height", "aria-hidden", "tabindex",
+  ],
+  ALLOWED_URI_REGEXP: /^(?:https?:|mailto:|#|[^:]*$)/i,
+};
+
+// App-relative URL → published location; absolute URLs are left alone
+const resolveAppUrl = (url, appId) => {
+  if (!appId || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return url;
+  const path = url.replace(/^(?:\.?\/)+/, "");
+  if (path.startsWith("screenshots/")) return `${APP_INDEX_BASE}/screenshots/${appId}/${path.slice("screenshots/".length)}`;
+  return `${APP_INDEX_BASE}/content/${appId}/${path}`;
+};
+
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  const { appId, anchorHref } = mdContext;
+  // ids are ours (md- heading anchors); classes only for highlighting and anchors
+  if (node.hasAttribute("id") && !node.id.startsWith("md-")) node.removeAttribute("id");
+  if (node.hasAttribute("class")) {
+    const keep = node.getAttribute("class").split(/\s+/).filter((c) => /^(hljs|language-|md-)/.test(c));
+    if (keep.length) node.setAttribute("class", keep.join(" "));
+    else node.removeAttribute("class");
+  }
+  // GFM task list items are the only inputs
+  if (node.tagName === "INPUT") {
+    node.setAttribute("type", "checkbox");
+    node.setAttribute("disabled", "");
+  }
+  if (node.tagName === "IMG" && node.hasAttribute("src")) {
+    node.setAttribute("src", resolveAppUrl(node.getAttribute("src"), appId));
+    node.setAttribute("loading", "lazy");
+  }
+  if (node.tagName === "A" && node.hasAttribute("href")) {
+    const href = node.getAttribute("href");
+    if (href.startsWith("#")) {
+      // in-document anchors live inside the hash route
+      if (anchorHref && href.length > 1) node.setAttribute("href", anchorHref(safeDecode(href.slice(1))));
+      else node.removeAttribute("href");
+    } else {
+      node.setAttribute("href", resolveAppUrl(href, appId));
+      node.setAttribute("target", "_blank");
+      node.setAttribute("rel", "noopener noreferrer");
     }
-    else if (ln.trim() === '') { i++; }
-    else { els.push(<p key={k++}>{parseInline(ln)}</p>); i++; }
   }
-  return <div className="md-body">{els}</div>;
+});
+
+// Wrap search-term matches in text nodes, like highlightText does for plain strings
+const markHits = (root, re) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  nodes.forEach((node) => {
+    const parts = node.data.split(re);
+    if (parts.length < 2) return;
+    const frag = document.createDocumentFragment();
+    parts.forEach((part, i) => {
+      if (!(i % 2)) { if (part) frag.append(part); return; }
+      const mark = document.createElement("mark");
+      mark.className = "search-hit";
+      mark.textContent = part;
+      frag.append(mark);
+    });
+    node.replaceWith(frag);
+  });
+};
+
+const renderMarkdown = (text, { appId, inline, highlight, anchorHref }) => {
+  mdSlugs = new Map();
+  mdContext = { appId, anchorHref };
+  try {
+    const raw = inline ? markdown.parseInline(text) : markdown.parse(text);
+    if (!highlight) return DOMPurify.sanitize(raw, MD_PURIFY);
+    const body = DOMPurify.sanitize(raw, { ...MD_PURIFY, RETURN_DOM: true });
+    markHits(body, highlight);
+    return body.innerHTML;
+  } finally {
+    mdContext = {};
+  }
+};
+
+function Markdown({ text, appId, inline = false, highlight, anchorHref, onRoute }) {
+  const html = useMemo(
+    () => (text ? renderMarkdown(text, { appId, inline, highlight, anchorHref }) : ""),
+    [text, appId, inline, highlight, anchorHref],
+  );
+  if (!html) return null;
+
+  const onClick = (e) => {
+    const a = e.target.closest("a[href]");
+    if (!a) return;
+    // a link inside a card or FAQ header shouldn't also trigger the container
+    e.stopPropagation();
+    const href = a.getAttribute("href");
+    if (href.startsWith("#/") && onRoute) { e.preventDefault(); onRoute(href); }
+  };
+  const Tag = inline ? "span" : "div";
+  return <Tag className={inline ? "md-inline" : "md-body"} onClick={onClick} dangerouslySetInnerHTML={{ __html: html }} />;
 }
 
 /* ─── Reusable Detail Components ──────────────────────────────────────────── */
@@ -699,178 +2418,135 @@ function StarRating({ rating, size = 14 }) {
 
 /* ─── App Extended Content ─────────────────────────────────────────────────── */
 
-const APP_DOCS = {
-  'qmg51xrjd1psztwd5pf48gqn9r4qak8vs3896zw4y2djhnpq523h': `# Getting Started with BLOOM Identity\n\nBLOOM Identity is a self-hosted KYC identity verification platform for Sandstorm.\n\n## Installation\n\n- Connect your Sandstorm server using the **CONNECT** button in the app market header\n- Click **INSTALL** to deploy BLOOM to your server\n- Create a new BLOOM grain from your Sandstorm dashboard\n\n## Admin Dashboard\n\nThe admin dashboard shows all active and completed verification cases. From here you can:\n\n- Create shareable verification links for respondents\n- Monitor verification status in real-time\n- Review completed cases with uploaded documents and facial captures\n- Approve or reject verification submissions\n\n## Verification Flow\n\nRespondents receive a link and complete these steps:\n\n- Accept Terms & Conditions\n- Upload a government-issued ID document\n- Complete live facial verification capture\n- Enter OTP confirmation code\n- Submit for admin review\n\n## Supported Document Types\n\n- Passport\n- Driver's License\n- National ID Card\n- Residence Permit\n\n## Privacy & Security\n\nAll data stays on your Sandstorm server. No documents or biometric data are sent to external APIs. The entire verification pipeline runs locally within your grain sandbox.`,
-
-  'xjdtxcy392qtrf317pyutxt2h5m022h291juzj1fs7023qsck3j0': `# Getting Started with BotMother\n\nBotMother is a Telegram bot manager with message routing and chatroom support, running on Sandstorm.\n\n## Installation\n\n- Install BotMother from the Melusina App Market\n- Create a new BotMother grain on your Sandstorm server\n\n## Setting Up Your Bot\n\n- Create a bot via [BotFather](https://t.me/BotFather) on Telegram\n- Copy the bot token\n- Paste it into BotMother's configuration page\n- Your bot is now connected and routing messages through Sandstorm\n\n## Message Routing\n\nBotMother lets you define routing rules for incoming messages:\n\n- Route by command (e.g. /help, /start)\n- Route by keyword matching\n- Route by user group or chat ID\n- Set up auto-responses for common queries\n\n## Chatrooms\n\nCreate managed chatrooms that your bot moderates:\n\n- Set welcome messages\n- Configure moderation rules\n- Track message history within Sandstorm\n\n## Security\n\nAll message data stays on your Sandstorm server. Bot tokens are stored securely in the grain sandbox.`,
+// Per-app docs, FAQ, changelog and third-party fees are owned by the app repos
+// (docs.md, faq.json, changelog.json, fees.json) and reviews by this repo
+// (reviews/<appId>.json); all arrive on the catalog entry. pBay hosting plans
+// come from this repo's plans.json as the catalog's `platform`. Only store-wide
+// content lives here; the store-wide FAQ is translated with the rest of the UI
+// (faq.common, faq.openSource, faq.hlsl).
 
-  'dwe1pv4ckrxjx3y45mjh166vxjmayqzu6zfg1x2rypy0zk0stcxh': `# Getting Started with Bureau Office Suite\n\nBureau is a multi-grain collaborative office suite for Sandstorm with four distinct tools.\n\n## Installation\n\n- Install Bureau from the Melusina App Market\n- When creating a new grain, choose the grain type: **Spreadsheet**, **Document**, **Diagram**, or **miniPaint**\n\n## Spreadsheet\n\n- Real-time multi-user editing via WebSocket\n- Cell styling, merged cells, comments\n- Column/row operations with undo/redo\n- Import/export: CSV, JSON, XLSX\n- Named version snapshots with restore\n\n## Document Editor\n\n- Built on TipTap with Yjs CRDT for conflict-free editing\n- Headings, lists, blockquotes, code blocks, tables\n- Real-time collaboration with presence indicators\n- Named version snapshots\n\n## Diagram Tool\n\n- Flowcharts, org charts, network diagrams\n- Shapes, connectors, text labels\n- Real-time sync and versioning\n- Export to image formats\n\n## miniPaint\n\n- Layer-based image editor\n- Filters: blur, sharpen, brightness, contrast\n- Drawing tools, crop, resize, rotate\n- Export: PNG, JPG, BMP, WebP\n\n## Collaboration & Permissions\n\n- **Viewer**: Read-only access\n- **Commenter**: Can add comments\n- **Editor**: Full editing access\n- **Admin**: Manage permissions and settings\n\nAll permissions are enforced server-side via Sandstorm's capability system.`,
+// Reviews are contributed as pull requests against the store repo
+const STORE_REPO = "https://github.com/hrbrlife/melusina-static-store";
+const REVIEWS_PER_PAGE = 10;
 
-  'wfy0c4706yw6rp70t4a4pse8c2spm0d4hdasya6vkc4fdhhyw86h': `# Getting Started with Instasys Mail\n\nInstasys Mail is a native email client for Sandstorm, built with Go and HTMX.\n\n## Installation\n\n- Install Instasys Mail from the Melusina App Market\n- Create a new grain — each grain is an independent mailbox\n\n## Receiving Email\n\nEmail arrives via Sandstorm's built-in SMTP gateway and is stored locally in SQLite. No external mail server configuration needed.\n\n## Composing Messages\n\n- Rich compose form with To, CC, BCC fields\n- Reply, Reply All, and Forward support\n- Draft auto-save — resume editing anytime\n- File attachments with inline preview\n\n## Organizing Mail\n\n- Create custom folders\n- Star important messages\n- Move messages between folders\n- Bulk delete and archive\n- Full-text search across all messages\n\n## Sharing Access\n\nUse Sandstorm's sharing system to grant access:\n\n- **Viewer**: Read-only mailbox access\n- **Editor**: Can compose and manage messages\n- **Admin**: Full control including settings\n\n## Technical Architecture\n\n- **Backend**: Go with native Cap'n Proto RPC (no sandstorm-http-bridge)\n- **Frontend**: Server-side HTML + HTMX + WebSocket\n- **Storage**: SQLite with automatic migrations\n- **Updates**: Real-time WebSocket push for new mail`,
-
-  'pe3k6wapfczy7797n8xxu3qsn40sd1k4mvfmqv8kz2200dqavv50': `# Getting Started with MiniGit\n\nMiniGit provides lightweight Git hosting with a web interface on Sandstorm.\n\n## Installation\n\n- Install MiniGit from the Melusina App Market\n- Create a new grain — each grain is a Git repository\n\n## Cloning & Pushing\n\nUse the Sandstorm API URL provided in your grain to clone and push:\n\n- \`git clone <grain-url>\`\n- \`git push origin main\`\n\nAuthentication is handled automatically by Sandstorm.\n\n## Web Interface\n\nBrowse your repository through the built-in GitWeb interface:\n\n- File tree navigation\n- Commit history and diffs\n- Search file contents\n- Branch and tag listing\n\n## Publishing Static Sites\n\nPush to the special **public** branch to publish static content at a Pearl URL:\n\n- \`git checkout -b public\`\n- Add your HTML/CSS/JS files\n- \`git push origin public\`\n\nYour site is now accessible via Sandstorm's Pearl URL system.\n\n## Permissions\n\n- Grant read or read/write access via Sandstorm sharing\n- Each grain is fully isolated from others`,
-
-  'nn4ddmmdrs72caf25m0czd4ayk6qt0vx9ny7yzkygn962tkk08kh': `# Getting Started with Shell Tester\n\nShell Tester is a Melusina Shell Extension testing tool for Sandstorm.\n\n## Installation\n\n- Install Shell Tester from the Melusina App Market\n- Create a new grain to begin testing\n\n## What It Does\n\nShell Tester provides an interactive environment for testing Melusina Shell Extensions. You can:\n\n- Load and test shell extension packages\n- Verify extension APIs and hooks\n- Debug extension behavior in a sandboxed environment\n- Validate extension manifest files\n\n## Running Tests\n\n- Upload your extension package\n- Shell Tester automatically detects test suites\n- View test results with pass/fail indicators\n- Inspect logs and error output\n\n## For Extension Developers\n\n- Use Shell Tester during development to validate your extensions\n- Test against different Melusina Shell versions\n- Verify permissions and capability requirements`
+const REVIEW_SORTS = {
+  newest: (a, b) => b.date.localeCompare(a.date),
+  oldest: (a, b) => a.date.localeCompare(b.date),
+  highest: (a, b) => b.rating - a.rating || b.date.localeCompare(a.date),
+  lowest: (a, b) => a.rating - b.rating || b.date.localeCompare(a.date),
 };
 
-const APP_FAQ = {
-  _common: [
-    { q: 'How do I install this app?', a: 'Click the **CONNECT** button in the header and enter your Sandstorm server URL. Then click the **INSTALL** button on the app detail page. The app will be deployed to your server automatically.' },
-    { q: 'Is my data private?', a: 'Yes. All data stays on your Sandstorm server. There is no telemetry, analytics, or external data transmission. Each app grain is sandboxed and isolated.' },
-    { q: 'How do I share access with others?', a: "Use Sandstorm's built-in sharing system. Click the sharing icon in your grain's top bar and generate a sharing link with the appropriate permission level (Viewer, Editor, or Admin)." },
-    { q: 'How do I update to the latest version?', a: 'Updates appear automatically in your Sandstorm admin panel. You can also revisit the App Market and re-install to get the latest version.' },
-    { q: 'How do I backup my data?', a: "Use Sandstorm's built-in grain backup feature. Go to your grain's top-bar menu and select 'Download Backup'. This creates a portable .zip of your grain that can be restored on any Sandstorm server." },
-    { q: 'Can I run multiple instances?', a: 'Yes. Each Sandstorm grain is an independent instance with its own data. You can create as many grains as you need.' },
-  ],
-  _openSource: [
-    { q: 'Can I contribute to the source code?', a: 'Absolutely. Check the SOURCE link on the app page to find the GitHub repository. Pull requests and issues are welcome.' },
-    { q: 'What license is this under?', a: 'This app is open source. Check the repository for the specific license file (commonly AGPLv3, MIT, or Apache 2.0).' },
-  ],
-  _hlsl: [
-    { q: 'What is the HLSL license?', a: 'HLSL (Harbor Life Software License) is a source-available license that allows you to use and deploy the software on your own server. After 3 years, the code automatically converts to AGPLv3 open source.' },
-    { q: 'Will this become open source?', a: 'Yes. Under the HLSL license, all code automatically converts to AGPLv3 after 3 years from the release date. You can view and audit the source code at any time.' },
-    { q: 'Can I modify the source code?', a: 'You have full access to the source code for auditing. Modifications for personal use on your own server are permitted. Redistribution requires the HLSL terms.' },
-  ],
-  'qmg51xrjd1psztwd5pf48gqn9r4qak8vs3896zw4y2djhnpq523h': [
-    { q: 'What document types does BLOOM support?', a: 'BLOOM supports passports, driver\'s licenses, national ID cards, and residence permits. The document detection system automatically identifies the document type.' },
-    { q: 'Does facial verification use external AI?', a: 'No. All AI processing runs locally within your Sandstorm grain. No images or biometric data leave your server.' },
-    { q: 'Can respondents complete verification on mobile?', a: 'Yes. The verification flow is fully responsive and optimized for mobile browsers. Camera access for facial capture works on iOS and Android.' },
-  ],
-  'dwe1pv4ckrxjx3y45mjh166vxjmayqzu6zfg1x2rypy0zk0stcxh': [
-    { q: 'Can multiple users edit a spreadsheet simultaneously?', a: 'Yes. Bureau uses WebSocket for real-time multi-user editing with presence indicators showing who else is viewing or editing.' },
-    { q: 'What file formats can I import/export?', a: 'Spreadsheets support CSV, JSON, and XLSX. Documents export to HTML. Images export to PNG, JPG, BMP, and WebP.' },
-    { q: 'How do snapshots work?', a: 'All grain types support named version snapshots. Save a snapshot with a name, browse your snapshot history, compare changes, and restore any previous version.' },
-  ],
-  'wfy0c4706yw6rp70t4a4pse8c2spm0d4hdasya6vkc4fdhhyw86h': [
-    { q: 'How does email delivery work?', a: 'Email arrives via Sandstorm\'s built-in SMTP gateway. Each grain has its own email address. No external mail server configuration is needed.' },
-    { q: 'Can I use a custom domain for email?', a: 'Email addressing is managed by your Sandstorm server configuration. Contact your Sandstorm admin to set up custom domain routing.' },
-  ],
-  'pe3k6wapfczy7797n8xxu3qsn40sd1k4mvfmqv8kz2200dqavv50': [
-    { q: 'How do I publish a static website?', a: 'Push your HTML/CSS/JS files to a branch named **public** in your MiniGit grain. Sandstorm will serve the contents at a Pearl URL.' },
-    { q: 'What Git operations are supported?', a: 'All standard Git operations: clone, push, pull, branch, tag. Authentication is handled by Sandstorm\'s capability system.' },
-  ],
-};
+const reviewFileUrl = (app) => (app.reviews?.length
+  ? `${STORE_REPO}/edit/main/reviews/${app.appId}.json`
+  : `${STORE_REPO}/new/main/reviews?filename=${app.appId}.json`);
 
-const APP_REVIEWS = {
-  'qmg51xrjd1psztwd5pf48gqn9r4qak8vs3896zw4y2djhnpq523h': [
-    { author: 'ComplianceOps', rating: 5, date: '2026-01-28', title: 'Self-hosted KYC done right', text: 'We needed KYC that didn\'t send documents to third-party APIs. BLOOM runs entirely on our server. The admin review flow and facial verification are well-designed.' },
-    { author: 'devops_sarah', rating: 4, date: '2026-01-15', title: 'Solid implementation', text: 'Clean setup, document verification and OTP work great. Would love webhook notifications when verifications complete. Looking forward to updates.' },
-    { author: 'fintech_piotr', rating: 5, date: '2025-12-20', title: 'Perfect for our POC', text: 'Running this for our fintech proof-of-concept. Shareable verification links are ideal for customer onboarding. Privacy-first KYC is a huge differentiator.' },
-    { author: 'sandstorm_user42', rating: 4, date: '2025-12-08', title: 'Great concept', text: 'Love the idea of self-hosted identity verification. The 8-step flow is comprehensive. UI could use dark mode but functionality is excellent.' },
-  ],
-  'xjdtxcy392qtrf317pyutxt2h5m022h291juzj1fs7023qsck3j0': [
-    { author: 'bot_developer', rating: 4, date: '2026-01-20', title: 'Nice Telegram integration', text: 'Easy to connect my Telegram bot. Message routing rules are flexible. Chatroom management is a nice bonus.' },
-    { author: 'community_mgr', rating: 5, date: '2026-01-05', title: 'Exactly what I needed', text: 'Managing our community bot through Sandstorm gives us full control. No more relying on third-party bot hosting services.' },
-    { author: 'privacy_max', rating: 4, date: '2025-12-18', title: 'Self-hosted bot hosting', text: 'All messages stay on our server. Great for organizations that need to keep communications private. Routing is intuitive.' },
-  ],
-  'dwe1pv4ckrxjx3y45mjh166vxjmayqzu6zfg1x2rypy0zk0stcxh': [
-    { author: 'office_admin', rating: 5, date: '2026-02-01', title: 'Incredible office suite', text: 'Bureau replaces Google Docs for our team. Real-time collaboration on spreadsheets works flawlessly. The snapshot feature is a lifesaver for version management.' },
-    { author: 'designer_jay', rating: 4, date: '2026-01-22', title: 'miniPaint is a nice surprise', text: 'Didn\'t expect a full image editor bundled in. Layers, filters, and export work well. The diagram tool is great for quick flowcharts too.' },
-    { author: 'data_analyst_k', rating: 5, date: '2026-01-10', title: 'Powerful spreadsheet', text: 'XLSX import/export, formula support, and real-time collab. Running it on our own server means no data leaks. The best self-hosted spreadsheet I\'ve used.' },
-    { author: 'team_lead_r', rating: 4, date: '2025-12-30', title: 'Solid document editor', text: 'TipTap-based editor is responsive and handles formatting well. CRDT sync means no conflicts even with 5+ people editing simultaneously.' },
-    { author: 'privacy_advocate', rating: 5, date: '2025-12-15', title: 'Finally, a private office suite', text: 'No Google, no Microsoft, no data mining. Bureau on Sandstorm gives our NGO everything we need without compromising our principles.' },
-  ],
-  'wfy0c4706yw6rp70t4a4pse8c2spm0d4hdasya6vkc4fdhhyw86h': [
-    { author: 'sysadmin_elena', rating: 4, date: '2026-01-18', title: 'Clean email client', text: 'Love that it uses native Cap\'n Proto instead of the HTTP bridge. Fast and lightweight. HTMX frontend is snappy. SQLite storage keeps things simple.' },
-    { author: 'privacy_first', rating: 5, date: '2026-01-02', title: 'Email on my terms', text: 'Finally an email client that runs on MY server. No scanning, no ads, no tracking. Sandstorm\'s SMTP gateway makes setup painless.' },
-    { author: 'developer_mike', rating: 4, date: '2025-12-22', title: 'Well-architected', text: 'The Go + HTMX stack is refreshingly simple. WebSocket for real-time updates is smooth. Would love to see CalDAV integration in the future.' },
-  ],
-  'pe3k6wapfczy7797n8xxu3qsn40sd1k4mvfmqv8kz2200dqavv50': [
-    { author: 'indie_dev', rating: 5, date: '2026-01-25', title: 'Perfect for small projects', text: 'Host my personal repos without GitHub. The GitWeb interface is clean and the public branch feature for static sites is genius.' },
-    { author: 'homelab_user', rating: 4, date: '2026-01-08', title: 'Lightweight and reliable', text: 'Running MiniGit for my homelab documentation repos. Dead simple, does exactly what it says. Push, pull, browse. No bloat.' },
-    { author: 'educator_prof', rating: 5, date: '2025-12-28', title: 'Great for teaching', text: 'I give each student a MiniGit grain for their assignments. Sandstorm sharing makes access management trivial. The web viewer lets me review code without cloning.' },
-  ],
-  'nn4ddmmdrs72caf25m0czd4ayk6qt0vx9ny7yzkygn962tkk08kh': [
-    { author: 'ext_developer', rating: 4, date: '2026-01-12', title: 'Essential for extension dev', text: 'If you\'re building Melusina Shell extensions, this is indispensable. Catches issues before deployment. Sandbox testing is well-implemented.' },
-    { author: 'melusina_fan', rating: 5, date: '2025-12-25', title: 'Makes extension dev easy', text: 'Upload, test, iterate. Shell Tester makes the feedback loop tight. Log inspection is particularly useful for debugging.' },
-  ],
-};
+// Third-party fees are typed by build-store.sh: billing is free | usage |
+// subscription | one-time, with an optional price { amount, currency, per }
+// and freeTier { amount, unit, period }
+const fmtNumber = (n) => new Intl.NumberFormat(activeLocale, { maximumFractionDigits: 4 }).format(n);
+const fmtAmount = (amount, currency) => `${fmtNumber(amount)} ${currency}`;
 
-const APP_VERSIONS = {
-  'qmg51xrjd1psztwd5pf48gqn9r4qak8vs3896zw4y2djhnpq523h': [
-    { version: '1.2.0', date: '2026-01-28', changes: ['Added residence permit support', 'Improved facial detection accuracy', 'Added case export for compliance'] },
-    { version: '1.1.0', date: '2025-11-15', changes: ['OTP verification flow', 'Multi-language support for verification pages', 'Admin notes on cases'] },
-    { version: '1.0.0', date: '2025-09-01', changes: ['Initial release', 'Passport and driver\'s license verification', 'Admin dashboard with real-time status', 'Shareable verification links'] },
-  ],
-  'xjdtxcy392qtrf317pyutxt2h5m022h291juzj1fs7023qsck3j0': [
-    { version: '2.0.0', date: '2026-01-20', changes: ['Chatroom management overhaul', 'Inline keyboard support', 'Message scheduling'] },
-    { version: '1.1.0', date: '2025-10-10', changes: ['Auto-response rules engine', 'User group routing', 'Improved webhook reliability'] },
-    { version: '1.0.0', date: '2025-07-15', changes: ['Initial release', 'Telegram bot connection', 'Basic message routing', 'Chat history logging'] },
-  ],
-  'dwe1pv4ckrxjx3y45mjh166vxjmayqzu6zfg1x2rypy0zk0stcxh': [
-    { version: '3.1.0', date: '2026-02-01', changes: ['miniPaint layer compositing improvements', 'Diagram auto-layout algorithm', 'XLSX formula support expanded'] },
-    { version: '3.0.0', date: '2025-12-15', changes: ['Added miniPaint image editor', 'Diagram tool with real-time sync', 'Named version snapshots for all grain types'] },
-    { version: '2.0.0', date: '2025-09-20', changes: ['Document editor powered by TipTap + Yjs CRDT', 'Real-time presence indicators', 'Comments system'] },
-    { version: '1.0.0', date: '2025-06-01', changes: ['Initial release', 'Spreadsheet with WebSocket collaboration', 'CSV and JSON import/export'] },
-  ],
-  'wfy0c4706yw6rp70t4a4pse8c2spm0d4hdasya6vkc4fdhhyw86h': [
-    { version: '1.3.0', date: '2026-01-18', changes: ['Full-text search across all messages', 'Bulk operations (delete, archive, move)', 'Draft auto-save'] },
-    { version: '1.2.0', date: '2025-11-01', changes: ['Custom folder support', 'Star/flag messages', 'Improved attachment handling'] },
-    { version: '1.1.0', date: '2025-08-20', changes: ['Reply, Reply All, Forward support', 'CC/BCC fields', 'WebSocket push for new mail'] },
-    { version: '1.0.0', date: '2025-06-15', changes: ['Initial release', 'Native Cap\'n Proto RPC integration', 'HTMX frontend', 'SQLite storage backend'] },
-  ],
-  'pe3k6wapfczy7797n8xxu3qsn40sd1k4mvfmqv8kz2200dqavv50': [
-    { version: '1.1.0', date: '2026-01-25', changes: ['Public branch static site publishing', 'Improved diff viewer', 'Search file contents'] },
-    { version: '1.0.0', date: '2025-08-01', changes: ['Initial release', 'Git hosting with GitWeb interface', 'Clone, push, pull support', 'Sandstorm capability-based auth'] },
-  ],
-  'nn4ddmmdrs72caf25m0czd4ayk6qt0vx9ny7yzkygn962tkk08kh': [
-    { version: '1.1.0', date: '2026-01-12', changes: ['Extension manifest validator', 'Multi-version shell testing', 'Improved log output formatting'] },
-    { version: '1.0.0', date: '2025-10-01', changes: ['Initial release', 'Shell extension package loader', 'Test suite auto-detection', 'Sandbox test environment'] },
-  ],
-};
+function feeCost(fee) {
+  const { price } = fee;
+  if (fee.billing === "free") return t("fees.billing.free");
+  if (!price) return t(`fees.billing.${fee.billing}`);
+  const amount = fmtAmount(price.amount, price.currency);
+  if (fee.billing === "usage") return t("fees.pricePer", { amount, unit: price.per });
+  if (fee.billing === "subscription") return t(`fees.price.${price.per}`, { amount });
+  return t("fees.price.once", { amount });
+}
 
-const APP_FEES = {
-  _platform: {
-    selfHosted: { price: 'FREE', description: 'Run on your own Sandstorm server with no ongoing fees' },
-    plans: [
-      { tier: 'Starter', sol: '0.1', storage: '1 GB', grains: 5 },
-      { tier: 'Standard', sol: '0.5', storage: '10 GB', grains: 25 },
-      { tier: 'Professional', sol: '2.0', storage: '50 GB', grains: 100 },
-      { tier: 'Enterprise', sol: '10.0', storage: '500 GB', grains: '\u221e' },
-    ],
-    grainNote: 'Each app instance is a grain. Share NFTs (~0.005 SOL tx fee) enable per-user access within your plan quota.',
-    storageNote: 'Storage is included in your pBay plan tier. Self-hosted deployments have unlimited storage.',
-    ipfsNote: 'Publish permanent IPFS snapshots via Arweave for ~0.01\u20130.5 AR per snapshot depending on data size. Your data becomes permanently available on the decentralized web.',
-    paymentNote: 'All payments are in SOL on the Solana blockchain via Phantom, Solflare, or Backpack wallets.',
-  },
-  'xjdtxcy392qtrf317pyutxt2h5m022h291juzj1fs7023qsck3j0': [
-    { service: 'Telegram Bot API', cost: 'Free', note: 'Telegram provides the bot API at no cost' },
-  ],
-  'wfy0c4706yw6rp70t4a4pse8c2spm0d4hdasya6vkc4fdhhyw86h': [
-    { service: 'Postmark Email API', cost: 'Optional', note: 'For enhanced outbound email delivery. Free tier: 100 emails/mo' },
-  ],
-  'qmg51xrjd1psztwd5pf48gqn9r4qak8vs3896zw4y2djhnpq523h': [
-    { service: 'No third-party APIs required', cost: '\u2014', note: 'All verification runs locally within your grain' },
-  ],
-};
+const feeFreeTier = (fee) => fee.freeTier && t(`fees.freeTier.${fee.freeTier.period || "month"}`, {
+  amount: fmtNumber(fee.freeTier.amount), unit: fee.freeTier.unit,
+});
+
+// Plans arrive cheapest first with non-decreasing limits (checked by the
+// build), so the first one that fits is the cheapest; grains null = unlimited
+const pickPlan = (plans, grains, storageGB) =>
+  plans.find((p) => (p.grains == null || p.grains >= grains) && p.storageGB >= storageGB) || null;
 
 function getAppFAQ(app) {
-  const specific = (APP_FAQ[app.appId] || []).map((item, i) => i === 0 ? { ...item, featured: true } : item);
-  const license = (app.isOpenSource ? APP_FAQ._openSource : APP_FAQ._hlsl).map((item, i) => i === 0 ? { ...item, featured: true } : item);
-  const common = APP_FAQ._common.map((item, i) => i === 1 ? { ...item, featured: true } : item);
+  const specific = (app.faq || []).map((item, i) => i === 0 ? { ...item, featured: true } : item);
+  const license = t(app.isOpenSource ? 'faq.openSource' : 'faq.hlsl').map((item, i) => i === 0 ? { ...item, featured: true } : item);
+  const common = t('faq.common').map((item, i) => i === 1 ? { ...item, featured: true } : item);
   return [...specific, ...license, ...common];
 }
 
 function getAppReviews(app) {
-  return APP_REVIEWS[app.appId] || [];
+  return app.reviews || [];
 }
 
-function getAvgRating(reviews) {
-  if (!reviews.length) return 0;
-  return reviews.reduce((s, r) => s + r.rating, 0) / reviews.length;
+// Summary computed by build-store.sh; histogram[i] counts (i + 1)-star ratings
+function getAppRating(app) {
+  return app.rating || { average: 0, count: 0, histogram: [0, 0, 0, 0, 0] };
+}
+
+// Estimates the pBay tier for a workload. It keeps its own input state so
+// typing doesn't re-render the detail page, and DetailPage renders it at a
+// stable position so that state survives the page's own re-renders.
+function PlanCalculator({ platform }) {
+  const [need, setNeed] = useState({ grains: "5", storage: "1" });
+  const grains = Math.max(0, Math.ceil(Number(need.grains) || 0));
+  const storage = Math.max(0, Number(need.storage) || 0);
+  const plan = pickPlan(platform.plans, grains, storage);
+  const field = (key, label, step) => (
+    <label style={{ display: "flex", flexDirection: "column", gap: 6, fontSize: 10, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>
+      {label}
+      <input type="number" min={0} step={step} value={need[key]} {...hostInputFocus}
+        onChange={(e) => setNeed((n) => ({ ...n, [key]: e.target.value }))}
+        style={{ ...hostInputStyle(), width: 140 }} />
+    </label>
+  );
+  return (
+    <div style={{
+      padding: 24, background: T.surface, borderRadius: T.radius,
+      border: `1px solid ${T.cyan}33`, marginBottom: 20,
+      backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
+    }}>
+      <SectionHeader>{t("fees.calc")}</SectionHeader>
+      <p style={{ fontSize: 13, color: T.textSec, marginBottom: 16, lineHeight: 1.7 }}>{t("fees.calcIntro")}</p>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end" }}>
+        {field("grains", t("fees.calcGrains"), 1)}
+        {field("storage", t("fees.calcStorage"), "any")}
+        <div aria-live="polite" style={{ flex: 1, minWidth: 200, fontSize: 12, color: T.textSec, lineHeight: 1.7 }}>
+          {plan ? (
+            <>
+              <div>
+                {t("fees.calcResult", { tier: <strong style={{ color: T.cyan, fontFamily: "'Orbitron', sans-serif" }}>{plan.tier}</strong> })}
+                {" · "}{fmtNumber(plan.price)} {t(`fees.per.${platform.period}`, { currency: platform.currency })}
+              </div>
+              <div style={{ fontSize: 11, color: T.textDim }}>
+                {t("fees.calcFit", {
+                  grains, storage,
+                  maxGrains: plan.grains == null ? "\u221e" : plan.grains,
+                  maxStorage: plan.storageGB,
+                })}
+              </div>
+            </>
+          ) : (
+            <span style={{ color: T.peach }}>{t("fees.calcNone")}</span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
 }
 
 /* ─── Detail Page ──────────────────────────────────────────────────────────── */
 
-function DetailPage({ app, host, onClose }) {
+function DetailPage({ app, locale, host, servers, installs, favorites, platform, tab, anchor, onTab, onRoute, onClose }) {
   const url = installUrl(host, app);
-  const reviews = useMemo(() => getAppReviews(app), [app]);
-  const avgRating = useMemo(() => getAvgRating(reviews), [reviews]);
-  const faq = useMemo(() => getAppFAQ(app), [app]);
-  const docs = APP_DOCS[app.appId] || '';
-  const versions = APP_VERSIONS[app.appId] || [];
-  const appFees = APP_FEES[app.appId] || [];
-  const platformFees = APP_FEES._platform;
+  const rec = installs.installed(host, app.appId);
+  const behind = isBehind(app, rec);
+  const reviews = getAppReviews(app);
+  const rating = getAppRating(app);
+  const avgRating = rating.average;
+  // The store-wide entries come from t(), so they follow the UI language even
+  // when the app itself has no translations
+  const faq = useMemo(() => getAppFAQ(app), [app, locale]);
+  const docs = app.docs || '';
+  const versions = app.changelog || [];
+  const appFees = app.fees || [];
 
   const featuredFaqSet = useMemo(() => {
     const s = new Set();
@@ -878,9 +2554,9 @@ function DetailPage({ app, host, onClose }) {
     return s;
   }, [faq]);
 
-  const [tab, setTab] = useState('overview');
   const [openFaq, setOpenFaq] = useState(() => new Set(featuredFaqSet));
   const [docSection, setDocSection] = useState(0);
+  const [reviewView, setReviewView] = useState({ sort: "newest", stars: 0, page: 0 });
 
   useEffect(() => {
     const h = (e) => e.key === "Escape" && onClose();
@@ -889,14 +2565,16 @@ function DetailPage({ app, host, onClose }) {
     return () => window.removeEventListener("keydown", h);
   }, [onClose]);
 
-  useEffect(() => { setTab('overview'); setOpenFaq(new Set(featuredFaqSet)); setDocSection(0); }, [app.appId, featuredFaqSet]);
-
-  if (!app) return null;
+  useEffect(() => {
+    setOpenFaq(new Set(featuredFaqSet));
+    setDocSection(0);
+    setReviewView({ sort: "newest", stars: 0, page: 0 });
+  }, [app.appId, featuredFaqSet]);
 
   const rows = [
-    ["VERSION", app.version || "—"],
-    ["BUILD", app.versionNumber ?? "—"],
-    ["AUTHOR", <>
+    [t("details.version"), app.version || "—"],
+    [t("details.build"), app.versionNumber ?? "—"],
+    [t("details.author"), <>
       {app.author?.name || "—"}
       {app.author?.githubUsername && (
         <a href={`https://github.com/${app.author.githubUsername}`} target="_blank"
@@ -905,23 +2583,34 @@ function DetailPage({ app, host, onClose }) {
         </a>
       )}
     </>],
-    ["UPSTREAM", app.upstreamAuthor || "—"],
-    ["DEPLOYED", fmtDate(app.createdAt)],
-    ["PKG_ID", <code key="p" style={{
+    [t("details.upstream"), app.upstreamAuthor || "—"],
+    [t("details.deployed"), fmtDate(app.createdAt)],
+    [t("details.packageId"), <code key="p" style={{
       fontSize: 10, color: T.cyan + "88", wordBreak: "break-all",
       fontFamily: "'JetBrains Mono', monospace",
     }}>{app.packageId}</code>],
   ];
 
   const tabs = [
-    { id: 'overview', label: 'Overview' },
-    { id: 'docs', label: 'Documentation' },
-    { id: 'fees', label: 'Fees' },
-    { id: 'versions', label: `Versions (${versions.length})` },
-    { id: 'faq', label: `FAQ (${faq.length})` },
-    { id: 'reviews', label: `Reviews (${reviews.length})` },
+    { id: 'overview', label: t('tab.overview') },
+    { id: 'docs', label: t('tab.docs') },
+    { id: 'fees', label: t('tab.fees') },
+    { id: 'versions', label: t('tab.versions', { count: versions.length }) },
+    { id: 'faq', label: t('tab.faq', { count: faq.length }) },
+    { id: 'reviews', label: t('tab.reviews', { count: reviews.length }) },
   ];
 
+  // Arrow keys / Home / End move between tabs and select them (WAI-ARIA tabs)
+  const onTabKey = (e) => {
+    const at = tabs.findIndex((tb) => tb.id === tab);
+    const to = { ArrowRight: at + 1, ArrowLeft: at - 1, Home: 0, End: tabs.length - 1 }[e.key];
+    if (to === undefined) return;
+    e.preventDefault();
+    const id = tabs[(to + tabs.length) % tabs.length].id;
+    onTab(id);
+    document.getElementById(`tab-${id}`)?.focus();
+  };
+
   const renderBtnStyle = (base, hover) => ({
     style: {
       display: "inline-flex", alignItems: "center", gap: 6,
@@ -949,8 +2638,8 @@ function DetailPage({ app, host, onClose }) {
               borderRadius: T.radius, border: `1px solid ${T.border}`,
               backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
             }}>
-              <SectionHeader>About</SectionHeader>
-              <SimpleMarkdown text={app.description} />
+              <SectionHeader>{t("overview.about")}</SectionHeader>
+              <Markdown text={app.description} {...mdProps} />
             </div>
           )}
           {/* Quick stats */}
@@ -968,12 +2657,12 @@ function DetailPage({ app, host, onClose }) {
                 <div>
                   <StarRating rating={avgRating} size={16} />
                   <div style={{ fontSize: 11, color: T.textDim, marginTop: 4, fontFamily: "'JetBrains Mono', monospace" }}>
-                    {reviews.length} review{reviews.length !== 1 ? 's' : ''}
+                    {t("overview.reviews", { count: reviews.length })}
                   </div>
                 </div>
               </div>
-              <button onClick={() => setTab('reviews')} {...renderBtnStyle(T.yellow)}>
-                Read Reviews →
+              <button onClick={() => onTab('reviews')} {...renderBtnStyle(T.yellow)}>
+                {t("overview.readReviews")}
               </button>
             </div>
           )}
@@ -992,7 +2681,7 @@ function DetailPage({ app, host, onClose }) {
               padding: "14px 20px", borderBottom: `1px solid ${T.borderLight}`,
               display: "flex", alignItems: "center", gap: 10,
             }}>
-              <SectionHeader color={app.isOpenSource ? T.green : T.magenta}>License & Pricing</SectionHeader>
+              <SectionHeader color={app.isOpenSource ? T.green : T.magenta}>{t("overview.license")}</SectionHeader>
             </div>
             <div style={{ padding: 20 }}>
               <div style={{
@@ -1009,28 +2698,26 @@ function DetailPage({ app, host, onClose }) {
                     fontSize: 14, fontWeight: 700, color: app.isOpenSource ? T.green : T.magenta,
                     fontFamily: "'Orbitron', sans-serif",
                     textShadow: `0 0 6px ${app.isOpenSource ? T.greenGlow : T.magentaGlow}`,
-                  }}>{app.isOpenSource ? 'Open Source' : 'HLSL License'}</div>
+                  }}>{t(app.isOpenSource ? "license.open" : "license.hlsl")}</div>
                   <div style={{ fontSize: 11, color: T.textDim, marginTop: 2, fontFamily: "'JetBrains Mono', monospace" }}>
-                    Self-hosted · No subscription
+                    {t("overview.selfHosted")}
                   </div>
                 </div>
               </div>
               <div style={{ fontSize: 20, fontWeight: 800, color: T.text, fontFamily: "'Orbitron', sans-serif", marginBottom: 8 }}>
-                FREE
+                {t("price.free")}
               </div>
               <div style={{ fontSize: 12, lineHeight: 1.7, color: T.textSec, marginBottom: 14 }}>
-                {app.isOpenSource
-                  ? 'This app is free and open source. You can use, modify, and redistribute it under the terms of its license.'
-                  : 'Free to install and use on your own Sandstorm server. Source code is available for auditing. Automatically converts to AGPLv3 after 3 years.'}
+                {t(app.isOpenSource ? "overview.openBlurb" : "overview.hlslBlurb")}
               </div>
               <div style={{ display: "flex", flexDirection: "column", gap: 6, fontSize: 11, color: T.textSec }}>
                 {[
-                  '✓ Self-hosted on your server',
-                  '✓ No usage fees or limits',
-                  '✓ Full data ownership',
-                  app.isOpenSource ? '✓ Fork and modify freely' : '✓ Source-available for audit',
-                  app.isOpenSource ? '✓ Community contributions welcome' : '✓ Converts to AGPLv3 after 3y',
-                ].map((item, i) => (
+                  'perk.selfHosted',
+                  'perk.noFees',
+                  'perk.ownership',
+                  app.isOpenSource ? 'perk.fork' : 'perk.audit',
+                  app.isOpenSource ? 'perk.contrib' : 'perk.converts',
+                ].map((key) => `✓ ${t(key)}`).map((item, i) => (
                   <div key={i} style={{ display: "flex", alignItems: "center", gap: 6 }}>
                     <span style={{ color: app.isOpenSource ? T.green : T.magenta, fontFamily: "'JetBrains Mono', monospace" }}>{item}</span>
                   </div>
@@ -1046,7 +2733,7 @@ function DetailPage({ app, host, onClose }) {
             backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
           }}>
             <div style={{ padding: "14px 20px", borderBottom: `1px solid ${T.border}` }}>
-              <SectionHeader>Details</SectionHeader>
+              <SectionHeader>{t("overview.details")}</SectionHeader>
             </div>
             {rows.map(([label, val], i) => (
               <div key={label} style={{
@@ -1097,24 +2784,39 @@ function DetailPage({ app, host, onClose }) {
       let title;
       if (fl.startsWith('# ')) title = fl.replace(/^# /, '');
       else if (fl.startsWith('## ')) title = fl.replace(/^## /, '');
-      else title = 'Introduction';
+      else title = null;
       return { title, content: part };
     });
   }, [docs]);
 
+  // Heading links stay on the current tab: #/app/<id>/<tab>?h=<slug>
+  const anchorHref = useCallback((slug) => routeHash({ appId: app.appId, tab, anchor: slug }), [app.appId, tab]);
+  const mdProps = { appId: app.appId, anchorHref, onRoute };
+
+  // Deep-linked heading: open the docs section holding it, then scroll to it
+  useEffect(() => {
+    if (!anchor) return;
+    if (tab === "docs") {
+      const i = docSections.findIndex((s) => headingSlugs(s.content).includes(anchor));
+      if (i >= 0 && i !== docSection) { setDocSection(i); return; }
+    }
+    const raf = requestAnimationFrame(() => document.getElementById(`md-${anchor}`)?.scrollIntoView({ block: "start" }));
+    return () => cancelAnimationFrame(raf);
+  }, [anchor, tab, docSection, docSections]);
+
   const DocsTab = () => {
     if (!docs) return (
       <div style={{ textAlign: "center", padding: "60px 20px" }}>
         <div style={{ fontSize: 36, marginBottom: 16, opacity: 0.3 }}>📄</div>
         <p style={{ color: T.textDim, fontSize: 14, fontFamily: "'JetBrains Mono', monospace" }}>
-          Documentation coming soon
+          {t("docs.soon")}
         </p>
         {app.codeLink && (
           <a href={app.codeLink} target="_blank" rel="noreferrer" style={{
             display: "inline-block", marginTop: 16, fontSize: 12, padding: "10px 20px",
             border: `1px solid ${T.cyan}33`, borderRadius: 3,
             fontFamily: "'JetBrains Mono', monospace",
-          }}>View README on GitHub →</a>
+          }}>{t("docs.readme")}</a>
         )}
       </div>
     );
@@ -1127,10 +2829,14 @@ function DetailPage({ app, host, onClose }) {
             backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
           }}>
             <div style={{ fontSize: 9, fontWeight: 700, textTransform: "uppercase", letterSpacing: ".14em", color: T.textDim, marginBottom: 8, fontFamily: "'Orbitron', sans-serif" }}>
-              Sections
+              {t("docs.sections")}
             </div>
             {docSections.map((s, i) => (
-              <button key={i} onClick={() => setDocSection(i)} style={{
+              <button key={i} onClick={() => {
+                setDocSection(i);
+                // leaving the linked section drops the heading from the URL
+                if (anchor) onRoute(routeHash({ appId: app.appId, tab }));
+              }} style={{
                 textAlign: "left", padding: "8px 12px", border: "none", cursor: "pointer",
                 borderRadius: T.radiusSm, fontSize: 12, fontWeight: 600,
                 fontFamily: "'JetBrains Mono', monospace",
@@ -1140,7 +2846,7 @@ function DetailPage({ app, host, onClose }) {
                 transition: "all .2s", whiteSpace: "nowrap",
                 textShadow: docSection === i ? `0 0 6px ${T.accentGlow}` : "none",
               }}>
-                {s.title}
+                {s.title || t('docs.introduction')}
               </button>
             ))}
           </div>
@@ -1151,7 +2857,7 @@ function DetailPage({ app, host, onClose }) {
           backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
           maxWidth: 780, minWidth: 0,
         }}>
-          <SimpleMarkdown text={docSections[docSection]?.content || docs} />
+          <Markdown text={docSections[docSection]?.content || docs} {...mdProps} />
         </div>
       </div>
     );
@@ -1168,7 +2874,7 @@ function DetailPage({ app, host, onClose }) {
 
   const FAQTab = () => (
     <div style={{ maxWidth: 780 }}>
-      <SectionHeader>Frequently Asked Questions</SectionHeader>
+      <SectionHeader>{t("faq.title")}</SectionHeader>
       <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 16 }}>
         {faq.map((item, i) => {
           const isOpen = openFaq.has(i);
@@ -1203,7 +2909,7 @@ function DetailPage({ app, host, onClose }) {
                   animation: "fadeIn .15s ease-out",
                 }}>
                   <div style={{ paddingTop: 14 }}>
-                    <SimpleMarkdown text={item.a} />
+                    <Markdown text={item.a} {...mdProps} />
                   </div>
                 </div>
               )}
@@ -1215,6 +2921,19 @@ function DetailPage({ app, host, onClose }) {
   );
 
   /* ---- REVIEWS TAB ---- */
+  const shownReviews = reviews
+    .filter((r) => !reviewView.stars || r.rating === reviewView.stars)
+    .sort(REVIEW_SORTS[reviewView.sort]);
+  const reviewPages = Math.max(1, Math.ceil(shownReviews.length / REVIEWS_PER_PAGE));
+  const reviewPage = Math.min(reviewView.page, reviewPages - 1);
+  const pageReviews = shownReviews.slice(reviewPage * REVIEWS_PER_PAGE, (reviewPage + 1) * REVIEWS_PER_PAGE);
+  const pagerBtn = (disabled) => ({
+    padding: "6px 14px", borderRadius: 3, cursor: disabled ? "default" : "pointer",
+    border: `1px solid ${T.cyan}33`, background: "transparent",
+    color: disabled ? T.textDim : T.cyan, opacity: disabled ? 0.5 : 1,
+    fontSize: 11, fontFamily: "'JetBrains Mono', monospace",
+  });
+
   const ReviewsTab = () => (
     <div style={{ maxWidth: 780 }}>
       {/* Rating summary */}
@@ -1234,15 +2953,23 @@ function DetailPage({ app, host, onClose }) {
             }}>{avgRating.toFixed(1)}</div>
             <StarRating rating={avgRating} size={18} />
             <div style={{ fontSize: 11, color: T.textDim, marginTop: 6, fontFamily: "'JetBrains Mono', monospace" }}>
-              {reviews.length} rating{reviews.length !== 1 ? 's' : ''}
+              {t("reviews.ratings", { count: rating.count })}
             </div>
           </div>
           <div style={{ flex: 1, minWidth: 200 }}>
             {[5,4,3,2,1].map(star => {
-              const count = reviews.filter(r => r.rating === star).length;
-              const pct = reviews.length ? (count / reviews.length) * 100 : 0;
+              const count = rating.histogram[star - 1];
+              const pct = rating.count ? (count / rating.count) * 100 : 0;
+              const on = reviewView.stars === star;
               return (
-                <div key={star} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+                <button key={star} disabled={!count} aria-pressed={on}
+                  aria-label={t("reviews.filterStars", { count: star })}
+                  onClick={() => setReviewView((v) => ({ ...v, stars: on ? 0 : star, page: 0 }))}
+                  style={{
+                    display: "flex", alignItems: "center", gap: 8, marginBottom: 4, width: "100%",
+                    padding: "2px 4px", border: "none", borderRadius: 3, cursor: count ? "pointer" : "default",
+                    background: on ? T.yellow + "14" : "transparent",
+                  }}>
                   <span style={{ fontSize: 11, color: T.textDim, width: 14, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>{star}</span>
                   <span style={{ fontSize: 11, color: T.yellow }}>★</span>
                   <div style={{ flex: 1, height: 6, background: T.bgAlt, borderRadius: 3, overflow: "hidden" }}>
@@ -1254,24 +2981,48 @@ function DetailPage({ app, host, onClose }) {
                     }} />
                   </div>
                   <span style={{ fontSize: 10, color: T.textDim, width: 20, fontFamily: "'JetBrains Mono', monospace" }}>{count}</span>
-                </div>
+                </button>
               );
             })}
           </div>
         </div>
       )}
 
+      {/* Toolbar: sort, active star filter, contribute */}
+      <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", marginBottom: 16 }}>
+        {reviews.length > 1 && (
+          <select value={reviewView.sort} aria-label={t("sort.label")}
+            onChange={(e) => setReviewView((v) => ({ ...v, sort: e.target.value, page: 0 }))}
+            style={{
+              padding: "6px 8px", borderRadius: 3, border: `1px solid ${T.purple}33`,
+              background: T.bgAlt, color: T.textSec, fontSize: 11,
+              fontFamily: "'JetBrains Mono', monospace",
+            }}>
+            {Object.keys(REVIEW_SORTS).map((k) => <option key={k} value={k}>{t(`reviews.sort.${k}`)}</option>)}
+          </select>
+        )}
+        {reviewView.stars > 0 && (
+          <FilterChip onRemove={() => setReviewView((v) => ({ ...v, stars: 0, page: 0 }))}>
+            {t("reviews.filterStars", { count: reviewView.stars })}
+          </FilterChip>
+        )}
+        <a href={reviewFileUrl(app)} target="_blank" rel="noreferrer" title={t("reviews.writeHint")}
+          style={{ marginLeft: "auto", fontSize: 11, fontFamily: "'JetBrains Mono', monospace" }}>
+          {t("reviews.write")}
+        </a>
+      </div>
+
       {/* Individual reviews */}
       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
         {reviews.length === 0 ? (
           <div style={{ textAlign: "center", padding: "60px 20px" }}>
             <div style={{ fontSize: 36, marginBottom: 16, opacity: 0.3 }}>💬</div>
             <p style={{ color: T.textDim, fontSize: 14, fontFamily: "'JetBrains Mono', monospace" }}>
-              No reviews yet. Be the first!
+              {t("reviews.none")}
             </p>
           </div>
-        ) : reviews.map((review, i) => (
-          <div key={i} className="review-card" style={{ animation: `fadeUp .3s ease-out ${i * 0.05}s both` }}>
+        ) : pageReviews.map((review, i) => (
+          <div key={review.author} className="review-card" style={{ animation: `fadeUp .3s ease-out ${i * 0.05}s both` }}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12, marginBottom: 10 }}>
               <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
                 <div style={{
@@ -1286,10 +3037,16 @@ function DetailPage({ app, host, onClose }) {
                 <div>
                   <div style={{ fontSize: 12, fontWeight: 600, color: T.text,
                     fontFamily: "'JetBrains Mono', monospace" }}>{review.author}</div>
-                  <div style={{ fontSize: 10, color: T.textDim }}>{review.date}</div>
+                  <div style={{ fontSize: 10, color: T.textDim }}>
+                    {fmtDate(review.date)}
+                    {review.version && <> · {t("reviews.forVersion", { version: review.version })}</>}
+                  </div>
                 </div>
               </div>
-              <StarRating rating={review.rating} size={12} />
+              <span style={{ display: "inline-flex", alignItems: "center", gap: 8 }}>
+                {review.verified && <span title={t("reviews.signedTitle")}><Badge neon={T.green}>{t("reviews.signed")}</Badge></span>}
+                <StarRating rating={review.rating} size={12} />
+              </span>
             </div>
             {review.title && (
               <div style={{ fontSize: 13, fontWeight: 700, color: T.text, marginBottom: 6 }}>
@@ -1302,25 +3059,41 @@ function DetailPage({ app, host, onClose }) {
           </div>
         ))}
       </div>
+
+      {reviewPages > 1 && (
+        <nav aria-label={t("reviews.pages")} style={{
+          display: "flex", alignItems: "center", justifyContent: "center", gap: 12, marginTop: 20,
+          fontSize: 11, color: T.textDim, fontFamily: "'JetBrains Mono', monospace",
+        }}>
+          <button disabled={reviewPage === 0} style={pagerBtn(reviewPage === 0)}
+            onClick={() => setReviewView((v) => ({ ...v, page: reviewPage - 1 }))}>{t("reviews.prev")}</button>
+          <span aria-live="polite">{t("reviews.page", { page: reviewPage + 1, pages: reviewPages })}</span>
+          <button disabled={reviewPage === reviewPages - 1} style={pagerBtn(reviewPage === reviewPages - 1)}
+            onClick={() => setReviewView((v) => ({ ...v, page: reviewPage + 1 }))}>{t("reviews.next")}</button>
+        </nav>
+      )}
     </div>
   );
 
   /* ---- VERSIONS TAB ---- */
+  // Releases whose SPK the store still serves (retention policy in build-store.sh)
+  const packagesByBuild = new Map((app.packages || []).map((p) => [p.versionNumber, p]));
+
   const VersionsTab = () => (
     <div style={{ maxWidth: 780 }}>
-      <SectionHeader>Version History</SectionHeader>
+      <SectionHeader>{t("versions.title")}</SectionHeader>
       {versions.length === 0 ? (
         <div style={{ textAlign: "center", padding: "60px 20px" }}>
           <div style={{ fontSize: 36, marginBottom: 16, opacity: 0.3 }}>📋</div>
           <p style={{ color: T.textDim, fontSize: 14, fontFamily: "'JetBrains Mono', monospace" }}>
-            Version history coming soon
+            {t("versions.soon")}
           </p>
         </div>
       ) : (
         <div style={{ position: "relative", paddingLeft: 28, marginTop: 16 }}>
           <div style={{ position: "absolute", left: 5, top: 0, bottom: 0, width: 2, background: `linear-gradient(180deg, ${T.cyan}44, ${T.purple}22, transparent)` }} />
           {versions.map((v, i) => (
-            <div key={i} style={{ position: "relative", marginBottom: 32, animation: `fadeUp .3s ease-out ${i * 0.08}s both` }}>
+            <div key={v.versionNumber ?? i} style={{ position: "relative", marginBottom: 32, animation: `fadeUp .3s ease-out ${i * 0.08}s both` }}>
               <div style={{
                 position: "absolute", left: -28, top: 4, width: 12, height: 12,
                 borderRadius: "50%", background: i === 0 ? T.cyan : T.bgAlt,
@@ -1334,23 +3107,54 @@ function DetailPage({ app, host, onClose }) {
                   fontFamily: "'Orbitron', sans-serif",
                   textShadow: i === 0 ? `0 0 8px ${T.accentGlow}` : "none",
                 }}>v{v.version}</span>
-                <span style={{ fontSize: 11, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>{v.date}</span>
-                {i === 0 && <Badge neon={T.cyan}>Latest</Badge>}
+                <span style={{ fontSize: 11, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>
+                  {fmtDate(v.date)}
+                  {v.versionNumber != null && <> · {t("probe.build", { build: v.versionNumber })}</>}
+                  {v.commit && <> · {v.commitUrl
+                    ? <a href={v.commitUrl} target="_blank" rel="noreferrer" title={t("versions.commit")}>{v.commit.slice(0, 7)}</a>
+                    : v.commit.slice(0, 7)}</>}
+                </span>
+                {i === 0 && <Badge neon={T.cyan}>{t("versions.latest")}</Badge>}
+                {rec && rec.versionNumber === v.versionNumber && <Badge neon={T.green}>{t("badge.installed")}</Badge>}
               </div>
               <div style={{
                 padding: "16px 20px", background: T.surface,
                 borderRadius: T.radius, border: `1px solid ${i === 0 ? T.cyan + '22' : T.border}`,
                 backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
               }}>
-                {v.changes.map((c, j) => (
+                {v.changes?.length ? v.changes.map((c, j) => (
                   <div key={j} style={{
                     fontSize: 13, color: T.textSec, lineHeight: 1.8,
                     paddingLeft: 16, position: "relative",
                   }}>
                     <span style={{ position: "absolute", left: 0, color: T.cyan, fontSize: 11, textShadow: `0 0 4px ${T.accentGlow}` }}>▸</span>
-                    {c}
+                    <Markdown text={c} appId={app.appId} inline />
                   </div>
-                ))}
+                )) : (
+                  <div style={{ fontSize: 12, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>{t("versions.noNotes")}</div>
+                )}
+                {packagesByBuild.has(v.versionNumber) && (() => {
+                  const pkg = packagesByBuild.get(v.versionNumber);
+                  const pinUrl = installUrl(host, pkg);
+                  return (
+                    <div style={{
+                      display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap",
+                      marginTop: 12, paddingTop: 12, borderTop: `1px solid ${T.borderLight}`,
+                      fontSize: 11, color: T.textDim, fontFamily: "'JetBrains Mono', monospace",
+                    }}>
+                      <span title={`SHA-256 ${pkg.sha256}`}>sha256 {pkg.sha256.slice(0, 12)}…</span>
+                      {pkg.size > 0 && <span>{fmtSize(pkg.size)}</span>}
+                      {pinUrl ? (
+                        <a href={pinUrl} target="_blank" rel="noreferrer" style={{ marginLeft: "auto" }}
+                          onClick={() => installs.record(host, { ...app, ...pkg })}>
+                          {t(i === 0 ? "versions.install" : "versions.installThis")}
+                        </a>
+                      ) : (
+                        <span style={{ marginLeft: "auto" }}>{t("detail.connectToInstall")}</span>
+                      )}
+                    </div>
+                  );
+                })()}
               </div>
             </div>
           ))}
@@ -1368,77 +3172,87 @@ function DetailPage({ app, host, onClose }) {
         border: `1px solid ${T.green}33`, marginBottom: 20,
         backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
       }}>
-        <SectionHeader color={T.green}>App Price</SectionHeader>
+        <SectionHeader color={T.green}>{t("fees.appPrice")}</SectionHeader>
         <div style={{ display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
           <span style={{
             fontSize: 36, fontWeight: 900, color: T.green,
             fontFamily: "'Orbitron', sans-serif",
             textShadow: `0 0 15px ${T.greenGlow}`,
-          }}>FREE</span>
+          }}>{t("price.free")}</span>
           <span style={{ fontSize: 13, color: T.textSec, lineHeight: 1.6 }}>
-            {platformFees.selfHosted.description}
+            {t("fees.selfHosted")}
           </span>
         </div>
       </div>
 
       {/* pBay Hosting Plans */}
-      <div style={{
-        padding: 28, background: T.surface, borderRadius: T.radius,
-        border: `1px solid ${T.border}`, marginBottom: 20,
-        backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
-      }}>
-        <SectionHeader color={T.purple}>pBay Hosted Plans</SectionHeader>
-        <p style={{ fontSize: 13, color: T.textSec, marginBottom: 20, lineHeight: 1.7 }}>
-          Prefer managed hosting? Use pBay — plans are denominated in SOL on the Solana blockchain.
-        </p>
-        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 12 }}>
-          {platformFees.plans.map((plan) => (
-            <div key={plan.tier} style={{
-              padding: 20, borderRadius: T.radius,
-              border: `1px solid ${plan.tier === 'Professional' ? T.cyan + '44' : T.border}`,
-              background: plan.tier === 'Professional' ? T.cyan + '08' : "transparent",
-              position: "relative",
-            }}>
-              {plan.tier === 'Professional' && (
-                <div style={{
-                  position: "absolute", top: -1, right: 16, padding: "2px 10px",
-                  background: T.cyan, color: T.bg, fontSize: 9, fontWeight: 700,
-                  fontFamily: "'Orbitron', sans-serif", letterSpacing: ".08em",
-                  borderRadius: "0 0 4px 4px",
-                }}>POPULAR</div>
-              )}
-              <div style={{ fontSize: 12, fontWeight: 700, color: T.text, fontFamily: "'Orbitron', sans-serif", marginBottom: 8 }}>
-                {plan.tier}
-              </div>
-              <div style={{ display: "flex", alignItems: "baseline", gap: 4, marginBottom: 12 }}>
-                <span style={{ fontSize: 24, fontWeight: 900, color: T.cyan, fontFamily: "'Orbitron', sans-serif" }}>
-                  {plan.sol}
-                </span>
-                <span style={{ fontSize: 11, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>SOL/mo</span>
-              </div>
-              <div style={{ fontSize: 11, color: T.textSec, lineHeight: 1.8 }}>
-                <div>{plan.storage} storage</div>
-                <div>{typeof plan.grains === 'number' ? plan.grains + ' grains' : plan.grains + ' grains'}</div>
+      {platform && (
+        <div style={{
+          padding: 28, background: T.surface, borderRadius: T.radius,
+          border: `1px solid ${T.border}`, marginBottom: 20,
+          backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
+        }}>
+          <SectionHeader color={T.purple}>{t("fees.plans")}</SectionHeader>
+          <p style={{ fontSize: 13, color: T.textSec, marginBottom: 20, lineHeight: 1.7 }}>
+            {t("fees.plansIntro")}
+          </p>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 12 }}>
+            {platform.plans.map((plan) => (
+              <div key={plan.tier} style={{
+                padding: 20, borderRadius: T.radius,
+                border: `1px solid ${plan.tier === platform.featured ? T.cyan + '44' : T.border}`,
+                background: plan.tier === platform.featured ? T.cyan + '08' : "transparent",
+                position: "relative",
+              }}>
+                {plan.tier === platform.featured && (
+                  <div style={{
+                    position: "absolute", top: -1, right: 16, padding: "2px 10px",
+                    background: T.cyan, color: T.bg, fontSize: 9, fontWeight: 700,
+                    fontFamily: "'Orbitron', sans-serif", letterSpacing: ".08em",
+                    borderRadius: "0 0 4px 4px",
+                  }}>{t("fees.popular")}</div>
+                )}
+                <div style={{ fontSize: 12, fontWeight: 700, color: T.text, fontFamily: "'Orbitron', sans-serif", marginBottom: 8 }}>
+                  {plan.tier}
+                </div>
+                <div style={{ display: "flex", alignItems: "baseline", gap: 4, marginBottom: 12 }}>
+                  <span style={{ fontSize: 24, fontWeight: 900, color: T.cyan, fontFamily: "'Orbitron', sans-serif" }}>
+                    {fmtNumber(plan.price)}
+                  </span>
+                  <span style={{ fontSize: 11, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>
+                    {t(`fees.per.${platform.period}`, { currency: platform.currency })}
+                  </span>
+                </div>
+                <div style={{ fontSize: 11, color: T.textSec, lineHeight: 1.8 }}>
+                  <div>{t("fees.storage", { amount: `${fmtNumber(plan.storageGB)} GB` })}</div>
+                  <div>{plan.grains == null ? t("fees.grainsUnlimited") : t("fees.grains", { count: plan.grains })}</div>
+                </div>
               </div>
-            </div>
-          ))}
+            ))}
+          </div>
+          {platform.notes?.payment && (
+            <p style={{ fontSize: 11, color: T.textDim, marginTop: 16, fontFamily: "'JetBrains Mono', monospace", lineHeight: 1.6 }}>
+              {platform.notes.payment}
+            </p>
+          )}
         </div>
-        <p style={{ fontSize: 11, color: T.textDim, marginTop: 16, fontFamily: "'JetBrains Mono', monospace", lineHeight: 1.6 }}>
-          {platformFees.paymentNote}
-        </p>
-      </div>
+      )}
+
+      {platform && <PlanCalculator platform={platform} />}
 
       {/* Per-Grain Model */}
-      <div style={{
-        padding: 24, background: T.surface, borderRadius: T.radius,
-        border: `1px solid ${T.border}`, marginBottom: 20,
-        backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
-      }}>
-        <SectionHeader color={T.yellow}>Per-Grain & Share NFTs</SectionHeader>
-        <p style={{ fontSize: 13, color: T.textSec, lineHeight: 1.8 }}>
-          {platformFees.grainNote}
-        </p>
-      </div>
+      {platform?.notes?.grains && (
+        <div style={{
+          padding: 24, background: T.surface, borderRadius: T.radius,
+          border: `1px solid ${T.border}`, marginBottom: 20,
+          backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
+        }}>
+          <SectionHeader color={T.yellow}>{t("fees.perGrain")}</SectionHeader>
+          <p style={{ fontSize: 13, color: T.textSec, lineHeight: 1.8 }}>
+            {platform.notes.grains}
+          </p>
+        </div>
+      )}
 
       {/* Third-Party API Fees */}
       {appFees.length > 0 && (
@@ -1447,7 +3261,7 @@ function DetailPage({ app, host, onClose }) {
           border: `1px solid ${T.peach}33`, marginBottom: 20,
           backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
         }}>
-          <SectionHeader color={T.peach}>Third-Party Services</SectionHeader>
+          <SectionHeader color={T.peach}>{t("fees.thirdParty")}</SectionHeader>
           <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
             {appFees.map((fee, i) => (
               <div key={i} style={{
@@ -1457,9 +3271,22 @@ function DetailPage({ app, host, onClose }) {
               }}>
                 <div>
                   <div style={{ fontSize: 13, fontWeight: 600, color: T.text }}>{fee.service}</div>
-                  <div style={{ fontSize: 11, color: T.textDim, marginTop: 2 }}>{fee.note}</div>
+                  <div style={{ fontSize: 12, color: T.textSec, marginTop: 4 }}>
+                    {feeCost(fee)}
+                    {fee.freeTier && <span style={{ color: T.green }}> · {feeFreeTier(fee)}</span>}
+                  </div>
+                  {fee.note && <div style={{ fontSize: 11, color: T.textDim, marginTop: 2 }}>{fee.note}</div>}
+                  {fee.url && (
+                    <a href={fee.url} target="_blank" rel="noopener noreferrer" style={{
+                      display: "inline-block", marginTop: 6, fontSize: 10, color: T.cyan,
+                      fontFamily: "'JetBrains Mono', monospace", textDecoration: "none",
+                    }}>{t("fees.pricing")}</a>
+                  )}
+                </div>
+                <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                  {fee.optional && <Badge>{t("fees.optional")}</Badge>}
+                  <Badge neon={fee.billing === 'free' ? T.green : T.peach}>{t(`fees.billing.${fee.billing}`)}</Badge>
                 </div>
-                <Badge neon={fee.cost === 'Free' ? T.green : T.peach}>{fee.cost}</Badge>
               </div>
             ))}
           </div>
@@ -1468,26 +3295,30 @@ function DetailPage({ app, host, onClose }) {
 
       {/* Storage & IPFS */}
       <div className="fee-grid-2">
-        <div style={{
-          padding: 24, background: T.surface, borderRadius: T.radius,
-          border: `1px solid ${T.border}`,
-          backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
-        }}>
-          <SectionHeader>Storage</SectionHeader>
-          <p style={{ fontSize: 12, color: T.textSec, lineHeight: 1.8 }}>
-            {platformFees.storageNote}
-          </p>
-        </div>
-        <div style={{
-          padding: 24, background: T.surface, borderRadius: T.radius,
-          border: `1px solid ${T.magenta}22`,
-          backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
-        }}>
-          <SectionHeader color={T.magenta}>IPFS Forever Snapshots</SectionHeader>
-          <p style={{ fontSize: 12, color: T.textSec, lineHeight: 1.8 }}>
-            {platformFees.ipfsNote}
-          </p>
-        </div>
+        {platform?.notes?.storage && (
+          <div style={{
+            padding: 24, background: T.surface, borderRadius: T.radius,
+            border: `1px solid ${T.border}`,
+            backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
+          }}>
+            <SectionHeader>{t("fees.storageTitle")}</SectionHeader>
+            <p style={{ fontSize: 12, color: T.textSec, lineHeight: 1.8 }}>
+              {platform.notes.storage}
+            </p>
+          </div>
+        )}
+        {platform?.notes?.ipfs && (
+          <div style={{
+            padding: 24, background: T.surface, borderRadius: T.radius,
+            border: `1px solid ${T.magenta}22`,
+            backdropFilter: "blur(12px)", WebkitBackdropFilter: "blur(12px)",
+          }}>
+            <SectionHeader color={T.magenta}>{t("fees.ipfs")}</SectionHeader>
+            <p style={{ fontSize: 12, color: T.textSec, lineHeight: 1.8 }}>
+              {platform.notes.ipfs}
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1497,21 +3328,22 @@ function DetailPage({ app, host, onClose }) {
       {/* top bar */}
       <div style={{
         position: "sticky", top: 0, zIndex: 200,
-        background: "linear-gradient(135deg, rgba(17,14,36,0.92), rgba(30,20,58,0.88))",
+        background: T.chrome,
         backdropFilter: "blur(24px) saturate(1.5)", WebkitBackdropFilter: "blur(24px) saturate(1.5)",
         borderBottom: `1px solid ${T.purple}20`,
-        boxShadow: "0 4px 30px rgba(17,14,36,0.5), inset 0 -1px 0 rgba(192,132,252,0.08)",
+        boxShadow: T.chromeShadow,
       }}>
         <div style={{
           maxWidth: 960, margin: "0 auto", padding: "12px 20px",
           display: "flex", alignItems: "center", gap: 14,
         }}>
-          <button onClick={onClose} {...renderBtnStyle(T.cyan)}>← BACK</button>
+          <button onClick={onClose} {...renderBtnStyle(T.cyan)}>{t("action.back")}</button>
           <span style={{
             fontSize: 14, fontWeight: 700, color: T.text,
             fontFamily: "'Orbitron', sans-serif",
             letterSpacing: ".03em",
           }}>{app.name}</span>
+          <StarButton app={app} favorites={favorites} style={{ marginLeft: "auto" }} />
         </div>
       </div>
 
@@ -1520,7 +3352,7 @@ function DetailPage({ app, host, onClose }) {
         <div style={{ display: "flex", gap: 24, alignItems: "center", marginBottom: 28, flexWrap: "wrap" }}>
           <AppIcon app={app} size={80} />
           <div style={{ flex: 1, minWidth: 200 }}>
-            <h1 style={{
+            <h1 tabIndex={-1} data-page-title style={{ outline: "none",
               fontSize: 28, fontWeight: 800, margin: 0,
               fontFamily: "'Orbitron', sans-serif",
               letterSpacing: ".02em",
@@ -1548,38 +3380,41 @@ function DetailPage({ app, host, onClose }) {
         {/* actions */}
         <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 24 }}>
           {url ? (
-            <a href={url} target="_blank" rel="noreferrer" style={{
-              display: "inline-flex", alignItems: "center", gap: 10,
-              padding: "14px 36px",
-              background: `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`,
-              border: `1px solid ${T.cyan}66`,
-              color: T.cyan,
-              fontFamily: "'Orbitron', sans-serif",
-              fontWeight: 700, fontSize: 13, letterSpacing: ".1em",
-              textTransform: "uppercase",
-              borderRadius: 3, textDecoration: "none",
-              textShadow: `0 0 10px ${T.accentGlow}`,
-              boxShadow: `0 0 20px ${T.accentGlow}, inset 0 0 20px ${T.cyan}08`,
-              transition: "all .2s ease",
-            }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.background = T.cyan + "33";
-                e.currentTarget.style.boxShadow = `0 0 40px ${T.accentGlow}, inset 0 0 30px ${T.cyan}11`;
-                e.currentTarget.style.transform = "scale(1.03)";
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.background = `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`;
-                e.currentTarget.style.boxShadow = `0 0 20px ${T.accentGlow}, inset 0 0 20px ${T.cyan}08`;
-                e.currentTarget.style.transform = "none";
+            <span style={{ display: "inline-flex", alignItems: "stretch", gap: 6 }}>
+              <a href={url} target="_blank" rel="noreferrer" onClick={() => installs.record(host, app)} style={{
+                display: "inline-flex", alignItems: "center", gap: 10,
+                padding: "14px 36px",
+                background: `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`,
+                border: `1px solid ${T.cyan}66`,
+                color: T.cyan,
+                fontFamily: "'Orbitron', sans-serif",
+                fontWeight: 700, fontSize: 13, letterSpacing: ".1em",
+                textTransform: "uppercase",
+                borderRadius: 3, textDecoration: "none",
+                textShadow: `0 0 10px ${T.accentGlow}`,
+                boxShadow: `0 0 20px ${T.accentGlow}, inset 0 0 20px ${T.cyan}08`,
+                transition: "all .2s ease",
               }}
-            ><span style={{ fontSize: 16 }}>↓</span> INSTALL</a>
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.background = T.cyan + "33";
+                  e.currentTarget.style.boxShadow = `0 0 40px ${T.accentGlow}, inset 0 0 30px ${T.cyan}11`;
+                  e.currentTarget.style.transform = "scale(1.03)";
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.background = `linear-gradient(135deg, ${T.cyan}22, ${T.magenta}22)`;
+                  e.currentTarget.style.boxShadow = `0 0 20px ${T.accentGlow}, inset 0 0 20px ${T.cyan}08`;
+                  e.currentTarget.style.transform = "none";
+                }}
+              ><span style={{ fontSize: 16 }}>↓</span> {t(behind ? "action.update" : "action.install")}</a>
+              <InstallPicker app={app} servers={servers} installs={installs} />
+            </span>
           ) : (
             <div style={{
               padding: "14px 28px", background: T.surface,
               borderRadius: 3, fontSize: 13, fontWeight: 500,
               border: `1px solid ${T.border}`, color: T.textDim,
               fontFamily: "'JetBrains Mono', monospace",
-            }}>Connect server to install</div>
+            }}>{t("detail.connectToInstall")}</div>
           )}
           {app.webLink && (
             <a href={app.webLink} target="_blank" rel="noreferrer" style={{
@@ -1600,7 +3435,7 @@ function DetailPage({ app, host, onClose }) {
                 e.currentTarget.style.color = T.textSec;
                 e.currentTarget.style.textShadow = "none";
               }}
-            >WEBSITE ↗</a>
+            >{t("detail.website")}</a>
           )}
           {app.codeLink && (
             <a href={app.codeLink} target="_blank" rel="noreferrer" style={{
@@ -1621,32 +3456,38 @@ function DetailPage({ app, host, onClose }) {
                 e.currentTarget.style.color = T.textSec;
                 e.currentTarget.style.textShadow = "none";
               }}
-            >SOURCE ↗</a>
+            >{t("detail.source")}</a>
           )}
         </div>
 
         {/* tags */}
         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 24 }}>
           {(app.categories || []).map((c) => <Badge key={c}>{c}</Badge>)}
-          {app.isOpenSource && <Badge neon={T.green}>Open Source</Badge>}
+          {app.isOpenSource && <Badge neon={T.green}>{t("license.open")}</Badge>}
           {!app.isOpenSource && <Badge neon={T.magenta}>HLSL</Badge>}
+          {behind && <Badge neon={T.yellow}>{t("detail.updateAvailable", { installed: rec.versionNumber, latest: app.versionNumber })}</Badge>}
+          {rec && !behind && <Badge neon={T.green}>{t("detail.installedOn", { server: serverLabel(host) })}</Badge>}
         </div>
 
         {/* tab navigation */}
-        <div className="detail-tabs">
-          {tabs.map(t => (
-            <button key={t.id} className={`detail-tab${tab === t.id ? ' active' : ''}`}
-              onClick={() => setTab(t.id)}>
-              {t.label}
+        <div className="detail-tabs" role="tablist" aria-label={t("detail.tabs")} onKeyDown={onTabKey}>
+          {tabs.map((tb) => (
+            <button key={tb.id} className={`detail-tab${tab === tb.id ? ' active' : ''}`}
+              role="tab" id={`tab-${tb.id}`} aria-selected={tab === tb.id} aria-controls={`panel-${tb.id}`}
+              tabIndex={tab === tb.id ? 0 : -1}
+              onClick={() => onTab(tb.id)}>
+              {tb.label}
             </button>
           ))}
         </div>
 
         {/* tab content */}
-        <div style={{ animation: "fadeIn .2s ease-out" }} key={tab}>
+        <div style={{ animation: "fadeIn .2s ease-out" }} key={tab}
+          role="tabpanel" id={`panel-${tab}`} aria-labelledby={`tab-${tab}`} tabIndex={0}>
           {tab === 'overview' && <OverviewTab />}
           {tab === 'docs' && <DocsTab />}
-          {tab === 'fees' && <FeesTab />}
+          {/* called, not mounted: a new component type per render would reset PlanCalculator's input */}
+          {tab === 'fees' && FeesTab()}
           {tab === 'versions' && <VersionsTab />}
           {tab === 'faq' && <FAQTab />}
           {tab === 'reviews' && <ReviewsTab />}
@@ -1656,21 +3497,505 @@ function DetailPage({ app, host, onClose }) {
   );
 }
 
+/* ─── My Apps ──────────────────────────────────────────────────────────────── */
+
+// Install history grouped by server, newest first, with the catalog build each
+// entry is compared against.
+function MyAppsPage({ apps, servers, installs, onSelect, onClose }) {
+  const byId = useMemo(() => new Map(apps.map((a) => [a.appId, a])), [apps]);
+  const groups = useMemo(() => {
+    const m = new Map();
+    installs.latest.forEach((rec) => {
+      if (!m.has(rec.server)) m.set(rec.server, []);
+      m.get(rec.server).push(rec);
+    });
+    return Array.from(m, ([server, recs]) => ({
+      server,
+      profile: servers.servers.find((s) => sanitizeHost(s.url) === server),
+      recs: recs.sort((a, b) => b.at - a.at),
+    }));
+  }, [installs.latest, servers.servers]);
+
+  useEffect(() => {
+    const h = (e) => e.key === "Escape" && onClose();
+    window.scrollTo(0, 0);
+    window.addEventListener("keydown", h);
+    return () => window.removeEventListener("keydown", h);
+  }, [onClose]);
+
+  const mono = { fontFamily: "'JetBrains Mono', monospace" };
+  const linkBtn = (c) => ({
+    padding: "5px 12px", borderRadius: 3, cursor: "pointer", textDecoration: "none",
+    border: `1px solid ${c}44`, background: c + "0d", color: c,
+    fontSize: 10, fontWeight: 700, letterSpacing: ".08em", whiteSpace: "nowrap", ...mono,
+  });
+
+  return (
+    <div style={{ minHeight: "100dvh", animation: "fadeIn .15s ease-out" }}>
+      <div style={{
+        position: "sticky", top: 0, zIndex: 200,
+        background: T.chrome,
+        backdropFilter: "blur(24px) saturate(1.5)", WebkitBackdropFilter: "blur(24px) saturate(1.5)",
+        borderBottom: `1px solid ${T.purple}20`,
+      }}>
+        <div style={{
+          maxWidth: 960, margin: "0 auto", padding: "12px 20px",
+          display: "flex", alignItems: "center", gap: 14,
+        }}>
+          <button onClick={onClose} style={linkBtn(T.cyan)}>{t("action.back")}</button>
+          <h1 tabIndex={-1} data-page-title style={{ fontSize: 14, fontWeight: 700, margin: 0, outline: "none", fontFamily: "'Orbitron', sans-serif", letterSpacing: ".03em" }}>
+            {t("myApps.title")}
+          </h1>
+          {installs.installs.length > 0 && (
+            <button onClick={() => window.confirm(t("myApps.confirmClear")) && installs.clear()}
+              style={{ ...linkBtn(T.magenta), marginLeft: "auto" }}>{t("myApps.clear")}</button>
+          )}
+        </div>
+      </div>
+
+      <div style={{ maxWidth: 960, margin: "0 auto", padding: "28px 20px 80px" }}>
+        <p style={{ fontSize: 12, color: T.textDim, lineHeight: 1.7, marginBottom: 24, ...mono }}>
+          {t("myApps.intro")}
+        </p>
+
+        {groups.length === 0 && (
+          <div style={{ textAlign: "center", padding: "60px 20px", color: T.textDim, fontSize: 12, ...mono }}>
+            {t("myApps.empty")}
+          </div>
+        )}
+
+        {groups.map(({ server, profile, recs }) => (
+          <section key={server} style={{
+            marginBottom: 24, padding: 20, background: T.surface,
+            borderRadius: T.radius, border: `1px solid ${T.border}`,
+          }}>
+            <SectionHeader>
+              {profile?.name || serverLabel(server)}
+              <span style={{ color: T.textDim, fontWeight: 400, letterSpacing: ".04em", textTransform: "none", ...mono }}>
+                {serverLabel(server)} · {t("myApps.behind", { count: recs.filter((r) => byId.has(r.appId) && isBehind(byId.get(r.appId), r)).length })}
+              </span>
+            </SectionHeader>
+            {recs.map((rec) => {
+              const app = byId.get(rec.appId);
+              const behind = app && isBehind(app, rec);
+              return (
+                <div key={rec.appId} style={{
+                  display: "flex", alignItems: "center", gap: 12, padding: "10px 0",
+                  borderTop: `1px solid ${T.borderLight}`, flexWrap: "wrap",
+                }}>
+                  {app ? <AppIcon app={app} size={32} /> : <span style={{ width: 32 }} />}
+                  <div style={{ flex: "1 1 180px", minWidth: 0 }}>
+                    {app ? (
+                      <a href={routeHash({ appId: app.appId })} data-focus-key={`app:${app.appId}`}
+                        onClick={(e) => { e.preventDefault(); onSelect(app.appId); }}
+                        style={{ fontSize: 13, fontWeight: 600, color: T.text, textDecoration: "none" }}>{app.name}</a>
+                    ) : (
+                      <span style={{ fontSize: 13, fontWeight: 600, color: T.textSec }}>{rec.name || rec.appId}</span>
+                    )}
+                    <div style={{ fontSize: 10, color: T.textDim, marginTop: 2, ...mono }}>
+                      v{rec.version || "?"} · {t("probe.build", { build: rec.versionNumber ?? "?" })} · {fmtDate(rec.at)}
+                    </div>
+                  </div>
+                  {!app ? (
+                    <Badge neon={T.textDim}>{t("myApps.unlisted")}</Badge>
+                  ) : behind ? (
+                    <>
+                      <Badge neon={T.yellow}>{t("myApps.available", { build: app.versionNumber })}</Badge>
+                      <a href={installUrl(server, app)} target="_blank" rel="noreferrer"
+                        onClick={() => installs.record(server, app)} style={linkBtn(T.yellow)}>{t("action.update")}</a>
+                    </>
+                  ) : (
+                    <Badge neon={T.green}>{t("myApps.current")}</Badge>
+                  )}
+                  <button onClick={() => installs.forget(server, rec.appId)} aria-label={t("myApps.forgetLabel", { name: rec.name || rec.appId })}
+                    title={t("myApps.forget")} style={{
+                      background: "none", border: "none", cursor: "pointer",
+                      color: T.textDim, fontSize: 14, padding: "2px 6px",
+                    }}>×</button>
+                </div>
+              );
+            })}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ─── Shared App List ──────────────────────────────────────────────────────── */
+
+// A list of appIds carried entirely in the URL, so sharing it is just sharing
+// the link. Browsers allow one new tab per click, which is why "install all"
+// walks the list one button press at a time instead of opening every tab.
+function AppListPage({ route, apps, loaded, host, installs, favorites, onSelect, onRename, onClose }) {
+  const byId = useMemo(() => new Map(apps.map((a) => [a.appId, a])), [apps]);
+  const listed = route.ids.map((id) => byId.get(id)).filter(Boolean);
+  // Until a catalog has arrived every id would look unknown
+  const missing = loaded ? route.ids.filter((id) => !byId.has(id)) : [];
+  const [queue, setQueue] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const h = (e) => e.key === "Escape" && onClose();
+    window.scrollTo(0, 0);
+    window.addEventListener("keydown", h);
+    return () => window.removeEventListener("keydown", h);
+  }, [onClose]);
+
+  // Skip anything already installed at the catalog build on this server
+  const pendingInstalls = listed.filter((a) => {
+    const rec = installs.installed(host, a.appId);
+    return !rec || isBehind(a, rec);
+  });
+  const next = queue && queue.ids.length ? byId.get(queue.ids[0]) : null;
+
+  const copyLink = () => {
+    const done = () => { setCopied(true); setTimeout(() => setCopied(false), 2000); };
+    if (navigator.clipboard) navigator.clipboard.writeText(window.location.href).then(done, () => {});
+    else window.prompt(t("list.copyPrompt"), window.location.href);
+  };
+
+  const mono = { fontFamily: "'JetBrains Mono', monospace" };
+  const btn = (c) => ({
+    padding: "7px 14px", borderRadius: 3, cursor: "pointer", textDecoration: "none",
+    border: `1px solid ${c}44`, background: c + "0d", color: c,
+    fontSize: 11, fontWeight: 700, letterSpacing: ".08em", whiteSpace: "nowrap", ...mono,
+  });
+
+  return (
+    <div style={{ minHeight: "100dvh", animation: "fadeIn .15s ease-out" }}>
+      <div style={{
+        position: "sticky", top: 0, zIndex: 200,
+        background: T.chrome,
+        backdropFilter: "blur(24px) saturate(1.5)", WebkitBackdropFilter: "blur(24px) saturate(1.5)",
+        borderBottom: `1px solid ${T.purple}20`,
+      }}>
+        <div style={{
+          maxWidth: 960, margin: "0 auto", padding: "12px 20px",
+          display: "flex", alignItems: "center", gap: 14,
+        }}>
+          <button onClick={onClose} style={btn(T.cyan)}>{t("action.back")}</button>
+          <input value={route.name} placeholder={t("list.untitled")} aria-label={t("list.name")}
+            onChange={(e) => onRename(e.target.value)}
+            style={{
+              flex: 1, minWidth: 0, padding: "6px 8px", background: "transparent",
+              border: "1px solid transparent", borderRadius: 3, outline: "none",
+              color: T.text, fontSize: 14, fontWeight: 700, letterSpacing: ".03em",
+              fontFamily: "'Orbitron', sans-serif",
+            }}
+            onFocus={(e) => { e.target.style.borderColor = T.cyan + "44"; }}
+            onBlur={(e) => { e.target.style.borderColor = "transparent"; }}
+          />
+          <button onClick={copyLink} style={btn(copied ? T.green : T.purple)}>{t(copied ? "list.copied" : "list.copy")}</button>
+        </div>
+      </div>
+
+      <div style={{ maxWidth: 960, margin: "0 auto", padding: "28px 20px 80px" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", marginBottom: 24 }}>
+          <span style={{ fontSize: 12, color: T.textDim, marginRight: "auto", ...mono }}>
+            {t("grid.apps", { count: listed.length })}
+            {host && <> · {t("list.installingTo", { server: <span style={{ color: T.cyan }}>{serverLabel(host)}</span> })}</>}
+          </span>
+          {listed.some((a) => !favorites.has(a.appId)) && (
+            <button onClick={() => favorites.addAll(listed.map((a) => a.appId))} style={btn(T.yellow)}>★ {t("list.starAll")}</button>
+          )}
+          {host && !queue && (
+            <button disabled={!pendingInstalls.length}
+              onClick={() => setQueue({ ids: pendingInstalls.map((a) => a.appId), total: pendingInstalls.length })}
+              style={{ ...btn(T.green), opacity: pendingInstalls.length ? 1 : .5, cursor: pendingInstalls.length ? "pointer" : "default" }}>
+              {pendingInstalls.length ? t("list.installAll", { count: pendingInstalls.length }) : t("list.allInstalled")}
+            </button>
+          )}
+        </div>
+
+        {!host && listed.length > 0 && (
+          <p style={{ fontSize: 12, color: T.yellow + "cc", marginBottom: 20, ...mono }}>
+            {t("list.connect")}
+          </p>
+        )}
+
+        {queue && (
+          <div role="status" style={{
+            display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap",
+            padding: "14px 16px", marginBottom: 20, borderRadius: T.radiusSm,
+            border: `1px solid ${T.green}44`, background: T.green + "0d",
+            fontSize: 12, color: T.green, ...mono,
+          }}>
+            {next ? (
+              <>
+                <span style={{ marginRight: "auto" }}>
+                  {queue.total - queue.ids.length + 1}/{queue.total} — {t("list.queueHint")}
+                </span>
+                <a href={installUrl(host, next)} target="_blank" rel="noreferrer" style={btn(T.green)}
+                  onClick={() => { installs.record(host, next); setQueue((q) => ({ ...q, ids: q.ids.slice(1) })); }}>
+                  {t("list.installNext", { name: next.name })}
+                </a>
+                <button onClick={() => setQueue((q) => ({ ...q, ids: q.ids.slice(1) }))} style={btn(T.textDim)}>{t("list.skip")}</button>
+                <button onClick={() => setQueue(null)} style={btn(T.magenta)}>{t("list.stop")}</button>
+              </>
+            ) : (
+              <>
+                <span style={{ marginRight: "auto" }}>{t("list.done")}</span>
+                <button onClick={() => setQueue(null)} style={btn(T.green)}>{t("list.ok")}</button>
+              </>
+            )}
+          </div>
+        )}
+
+        {listed.map((app) => {
+          const rec = installs.installed(host, app.appId);
+          const behind = isBehind(app, rec);
+          return (
+            <div key={app.appId} style={{
+              display: "flex", alignItems: "center", gap: 14, padding: "14px 16px", marginBottom: 10,
+              background: T.surface, borderRadius: T.radius, border: `1px solid ${T.border}`,
+              flexWrap: "wrap",
+            }}>
+              <AppIcon app={app} size={40} />
+              <div style={{ flex: "1 1 200px", minWidth: 0 }}>
+                <a href={routeHash({ appId: app.appId })} data-focus-key={`app:${app.appId}`}
+                  onClick={(e) => { e.preventDefault(); onSelect(app.appId); }}
+                  style={{ fontSize: 14, fontWeight: 700, color: T.text, textDecoration: "none" }}>{app.name}</a>
+                <div style={{ fontSize: 12, color: T.textSec, marginTop: 3 }}>{app.shortDescription}</div>
+              </div>
+              {behind ? <Badge neon={T.yellow}>{t("badge.update")}</Badge> : rec && <Badge neon={T.green}>{t("badge.installed")}</Badge>}
+              {host && (
+                <a href={installUrl(host, app)} target="_blank" rel="noreferrer"
+                  onClick={() => installs.record(host, app)} style={btn(T.cyan)}>{t(behind ? "action.update" : "action.install")}</a>
+              )}
+              <StarButton app={app} favorites={favorites} />
+            </div>
+          );
+        })}
+
+        {missing.length > 0 && (
+          <p style={{ fontSize: 11, color: T.textDim, marginTop: 16, ...mono }}>
+            {t("list.missing", { ids: missing.join(", ") })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ─── Compare ──────────────────────────────────────────────────────────────── */
+
+// Selection lives in App state: { ids, toggle(id), clear() }
+function CompareToggle({ app, compare, style }) {
+  const on = compare.ids.includes(app.appId);
+  const full = !on && compare.ids.length >= MAX_COMPARE;
+  return (
+    <button aria-pressed={on} disabled={full}
+      aria-label={t(on ? "compare.removeLabel" : "compare.addLabel", { name: app.name })}
+      title={full ? t("compare.max", { max: MAX_COMPARE }) : t(on ? "compare.remove" : "compare.add")}
+      onClick={(e) => { e.stopPropagation(); compare.toggle(app.appId); }}
+      onKeyDown={(e) => e.stopPropagation()}
+      style={{
+        width: 30, height: 30, borderRadius: "50%", cursor: full ? "not-allowed" : "pointer",
+        border: `1px solid ${on ? T.cyan + "88" : T.purple + "33"}`,
+        background: on ? T.cyan + "1f" : T.scrim,
+        color: on ? T.cyan : T.textDim, fontSize: 13, lineHeight: 1,
+        opacity: full ? .4 : 1, transition: "all .2s", ...style,
+      }}>⇄</button>
+  );
+}
+
+// Newest changelog entry, falling back to when the app was first listed
+const lastRelease = (app) => (app.changelog || [])[0]?.date || app.createdAt;
+
+// [label key, cell renderer]
+const COMPARE_ROWS = [
+  ["compare.version", (a) => <>{a.version || "—"} <span style={{ color: T.textDim }}>· {t("probe.build", { build: a.versionNumber ?? "—" })}</span></>],
+  ["compare.license", (a) => (a.isOpenSource ? <Badge neon={T.green}>{t("license.open")}</Badge> : <Badge neon={T.magenta}>HLSL</Badge>)],
+  ["compare.categories", (a) => (
+    <span style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+      {(a.categories || []).map((c) => <Badge key={c}>{c}</Badge>)}
+    </span>
+  )],
+  ["compare.fees", (a) => ((a.fees || []).length ? (
+    <ul style={{ margin: 0, padding: 0, listStyle: "none", display: "flex", flexDirection: "column", gap: 4 }}>
+      {a.fees.map((f, i) => (
+        <li key={i}><span style={{ color: T.text }}>{f.service}</span> <span style={{ color: f.billing === "free" ? T.green : T.yellow }}>{feeCost(f)}</span></li>
+      ))}
+    </ul>
+  ) : <span style={{ color: T.green }}>{t("compare.none")}</span>)],
+  ["compare.rating", (a) => {
+    const { average, count } = getAppRating(a);
+    return count ? (
+      <span style={{ display: "inline-flex", alignItems: "center", gap: 8 }}>
+        <StarRating rating={average} size={12} />
+        <span style={{ color: T.textDim }}>{average.toFixed(1)} ({count})</span>
+      </span>
+    ) : <span style={{ color: T.textDim }}>{t("compare.noReviews")}</span>;
+  }],
+  ["compare.lastRelease", (a) => fmtDate(lastRelease(a))],
+  ["compare.size", (a) => fmtSize(a.packageSize)],
+  ["compare.author", (a) => <>{a.author?.name || "—"}{a.upstreamAuthor && <div style={{ color: T.textDim }}>{t("compare.upstream", { name: a.upstreamAuthor })}</div>}</>],
+];
+
+function ComparePage({ ids, apps, onSelect, onRemove, onClose }) {
+  const byId = useMemo(() => new Map(apps.map((a) => [a.appId, a])), [apps]);
+  const list = ids.map((id) => byId.get(id)).filter(Boolean);
+
+  useEffect(() => {
+    const h = (e) => e.key === "Escape" && onClose();
+    window.scrollTo(0, 0);
+    window.addEventListener("keydown", h);
+    return () => window.removeEventListener("keydown", h);
+  }, [onClose]);
+
+  const cell = {
+    padding: "14px 16px", borderTop: `1px solid ${T.borderLight}`,
+    fontSize: 12, color: T.textSec, verticalAlign: "top", lineHeight: 1.6,
+  };
+
+  return (
+    <div style={{ minHeight: "100dvh", animation: "fadeIn .15s ease-out" }}>
+      <div style={{
+        position: "sticky", top: 0, zIndex: 200,
+        background: T.chrome,
+        backdropFilter: "blur(24px) saturate(1.5)", WebkitBackdropFilter: "blur(24px) saturate(1.5)",
+        borderBottom: `1px solid ${T.purple}20`,
+      }}>
+        <div style={{
+          maxWidth: 1200, margin: "0 auto", padding: "12px 20px",
+          display: "flex", alignItems: "center", gap: 14,
+        }}>
+          <button onClick={onClose} style={{
+            padding: "8px 18px", borderRadius: 3, cursor: "pointer",
+            border: `1px solid ${T.cyan}33`, background: T.cyan + "08", color: T.cyan,
+            fontSize: 12, fontWeight: 600, letterSpacing: ".05em",
+            fontFamily: "'JetBrains Mono', monospace",
+          }}>{t("action.back")}</button>
+          <h1 tabIndex={-1} data-page-title style={{ fontSize: 14, fontWeight: 700, margin: 0, outline: "none", fontFamily: "'Orbitron', sans-serif", letterSpacing: ".03em" }}>
+            {t("compare.title")}
+          </h1>
+        </div>
+      </div>
+
+      <div style={{ maxWidth: 1200, margin: "0 auto", padding: "28px 20px 80px", overflowX: "auto" }}>
+        {list.length < 2 ? (
+          <p style={{ textAlign: "center", padding: "60px 20px", color: T.textDim, fontSize: 12, fontFamily: "'JetBrains Mono', monospace" }}>
+            {t("compare.pick")}
+          </p>
+        ) : (
+          <table style={{
+            width: "100%", minWidth: 180 + list.length * 200, borderCollapse: "collapse", tableLayout: "fixed",
+            background: T.surface, borderRadius: T.radius, border: `1px solid ${T.border}`,
+          }}>
+            <colgroup>
+              <col style={{ width: 150 }} />
+              {list.map((a) => <col key={a.appId} />)}
+            </colgroup>
+            <thead>
+              <tr>
+                <th />
+                {list.map((a) => (
+                  <th key={a.appId} scope="col" style={{ padding: 16, textAlign: "left", verticalAlign: "top" }}>
+                    <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                      <AppIcon app={a} size={36} />
+                      <a href={routeHash({ appId: a.appId })} data-focus-key={`app:${a.appId}`}
+                        onClick={(e) => { e.preventDefault(); onSelect(a.appId); }}
+                        style={{
+                          flex: 1, minWidth: 0, fontSize: 13, fontWeight: 700, color: T.text, textDecoration: "none",
+                          fontFamily: "'Orbitron', sans-serif",
+                        }}>{a.name}</a>
+                      <button onClick={() => onRemove(a.appId)} aria-label={t("compare.drop", { name: a.name })} style={{
+                        background: "none", border: "none", cursor: "pointer", color: T.textDim, fontSize: 14,
+                      }}>×</button>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_ROWS.map(([label, render]) => (
+                <tr key={label}>
+                  <th scope="row" style={{
+                    ...cell, textAlign: "left", color: T.textDim, fontSize: 10, fontWeight: 700,
+                    letterSpacing: ".1em", textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace",
+                  }}>{t(label)}</th>
+                  {list.map((a) => <td key={a.appId} style={cell}>{render(a)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
 /* ─── Main App ─────────────────────────────────────────────────────────────── */
 
 function App() {
-  const [apps, setApps] = useState([]);
-  const [selectedId, setSelectedId] = useState(null);
-  const [query, setQuery] = useState("");
-  const [category, setCategory] = useState("All");
-  const [host, setHost] = useState(localStorage.getItem("sandstormHost") || "");
+  const sw = useServiceWorker();
+  const offline = useConnectivity();
+  const [offlineNudge, setOfflineNudge] = useState(0);
+  const { apps: catalogApps, platform, generatedAt, status: catalogStatus, error: catalogError, pending: catalogPending, applyPending, reload } = useCatalog();
+  const [locale, setLocale] = useLocale();
+  const [themeChoice, setTheme] = useTheme();
+  const apps = useMemo(() => catalogApps.map((a) => localizeApp(a, locale)), [catalogApps, locale]);
+  const [route, navigate] = useHashRoute();
+  const selectedId = route.appId;
+  const query = route.query ?? "";
+  const category = route.category ?? "All";
+  const license = route.license || "";
+  const devs = useMemo(() => route.devs || [], [route.devs]);
+  const shots = !!route.shots;
+  const fav = !!route.fav;
+  // Relevance only exists while searching; a stale or unknown sort in the URL
+  // falls back to the default
+  const sortModes = SORT_MODES.filter(([id]) => id !== "relevance" || query.trim());
+  const sort = sortModes.some(([id]) => id === route.sort) ? route.sort : query.trim() ? "relevance" : "name";
+  const grid = { query, category, sort: route.sort || "", license, devs, shots, fav };
+  const servers = useServers();
+  const host = servers.current?.url || "";
+  const installs = useInstalls();
+  const favorites = useFavorites();
+  const [compareIds, setCompareIds] = useState([]);
+  const compare = useMemo(() => ({
+    ids: compareIds,
+    toggle: (id) => setCompareIds((l) => (l.includes(id) ? l.filter((x) => x !== id)
+      : l.length < MAX_COMPARE ? [...l, id] : l)),
+    remove: (id) => setCompareIds((l) => l.filter((x) => x !== id)),
+    clear: () => setCompareIds([]),
+  }), [compareIds]);
 
+  // Installs and external links open other sites, which can't work offline.
+  // [data-offline] dims them (see css()) and their clicks stop here, before a
+  // card or install handler sees them; the banner explains why.
   useEffect(() => {
-    const src = Array.isArray(data) ? data : data.apps || [];
-    setApps(src.map((a) => ({ ...a, categories: a.categories || [] })));
-  }, []);
+    document.documentElement.toggleAttribute("data-offline", offline);
+    if (!offline) return;
+    const h = (e) => {
+      if (!e.target.closest?.('a[target="_blank"]')) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setOfflineNudge((n) => n + 1);
+    };
+    document.addEventListener("click", h, true);
+    document.addEventListener("auxclick", h, true);
+    return () => {
+      document.removeEventListener("click", h, true);
+      document.removeEventListener("auxclick", h, true);
+    };
+  }, [offline]);
+
+  const notices = (
+    <>
+      {offline && <OfflineBanner generatedAt={generatedAt} nudge={offlineNudge} />}
+      {sw.updateReady && <UpdatePrompt onReload={sw.update} />}
+    </>
+  );
 
-  useEffect(() => { if (host) localStorage.setItem("sandstormHost", host); }, [host]);
+  // Arriving from a server's "open app market" link: connect to it right away
+  const [handoff, setHandoff] = useState(null);
+  const { adopt } = servers;
+  useEffect(() => {
+    const h = takeHostHandoff();
+    if (h) setHandoff({ host: h, undo: adopt(h) });
+  }, [adopt]);
 
   const categories = useMemo(() => {
     const s = new Set();
@@ -1678,41 +4003,160 @@ function App() {
     return ["All", ...Array.from(s).sort()];
   }, [apps]);
 
+  const searchIndex = useMemo(() => buildSearchIndex(apps), [apps]);
+  const hits = useMemo(() => searchApps(searchIndex, query), [searchIndex, query]);
+
+  const developers = useMemo(() => Array.from(new Set(apps.map(appDeveloper).filter(Boolean))).sort(), [apps]);
+
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    return apps.filter((a) => {
-      const catOk = category === "All" || a.categories.some((c) => c.toLowerCase() === category.toLowerCase());
-      const qOk = !q || [a.name, a.shortDescription, a.summary, a.upstreamAuthor, a.author?.name]
-        .filter(Boolean).some((f) => f.toLowerCase().includes(q));
-      return catOk && qOk;
+    const list = apps.filter((a) => {
+      if (category !== "All" && !a.categories.some((c) => c.toLowerCase() === category.toLowerCase())) return false;
+      if (hits && !hits.has(a.appId)) return false;
+      if (license === "open" && !a.isOpenSource) return false;
+      if (license === "hlsl" && a.isOpenSource) return false;
+      if (devs.length && !devs.includes(appDeveloper(a))) return false;
+      if (shots && !(a.screenshots || []).length) return false;
+      if (fav && !favorites.has(a.appId)) return false;
+      return true;
     });
-  }, [apps, query, category]);
+    return sortApps(list, sort, hits);
+  }, [apps, hits, category, license, devs, shots, fav, favorites, sort]);
+
+  const highlights = useMemo(() => {
+    const m = new Map();
+    if (hits) hits.forEach((h, appId) => m.set(appId, highlightRegex(h.terms)));
+    return m;
+  }, [hits]);
+
+  // "/" focuses search from anywhere on the grid
+  const searchRef = React.useRef(null);
+  useEffect(() => {
+    if (selectedId) return;
+    const h = (e) => {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+      const el = e.target;
+      if (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName)) return;
+      e.preventDefault();
+      searchRef.current?.focus();
+    };
+    window.addEventListener("keydown", h);
+    return () => window.removeEventListener("keydown", h);
+  }, [selectedId]);
+
+  const setGrid = (patch, opts) => navigate({ ...grid, ...patch }, opts);
+  const setQuery = (q) => setGrid({ query: q }, { replace: true });
+  const setCategory = (c) => setGrid({ category: c });
+  const toggleDev = (d) => setGrid({ devs: devs.includes(d) ? devs.filter((x) => x !== d) : [...devs, d] });
+
+  const activeFacets = [
+    license && { key: "license", label: license === "open" ? t("license.open") : "HLSL", clear: () => setGrid({ license: "" }) },
+    ...devs.map((d) => ({ key: `dev:${d}`, label: `@${d}`, clear: () => toggleDev(d) })),
+    shots && { key: "shots", label: t("facet.shots"), clear: () => setGrid({ shots: false }) },
+    fav && { key: "fav", label: t("facet.favorites"), clear: () => setGrid({ fav: false }) },
+  ].filter(Boolean);
 
   const selectedApp = useMemo(() => apps.find((a) => a.appId === selectedId), [apps, selectedId]);
-  const onSelect = useCallback((id) => setSelectedId(id), []);
-  const onClose = useCallback(() => setSelectedId(null), []);
+  const onSelect = useCallback((id) => navigate({ appId: id }), [navigate]);
+  const onTab = useCallback((id) => navigate({ appId: selectedId, tab: id }, { replace: true }), [navigate, selectedId]);
+  // Store links inside rendered Markdown; anchors on the same page don't add history
+  const onRoute = useCallback((hash) => {
+    const r = parseRoute(hash);
+    navigate(r, { replace: !!r.appId && r.appId === selectedId });
+  }, [navigate, selectedId]);
+  const behindCount = useMemo(() => {
+    const byId = new Map(apps.map((a) => [a.appId, a]));
+    return Array.from(installs.latest.values()).filter((r) => byId.has(r.appId) && isBehind(byId.get(r.appId), r)).length;
+  }, [apps, installs.latest]);
+
+  const onClose = useCallback(() => {
+    // Pop back to the grid entry we came from so its filters and scroll survive;
+    // a deep link has nothing to pop, so start a fresh grid entry instead.
+    if (window.history.state?.depth) window.history.back();
+    else navigate({ query: "", category: "All" });
+  }, [navigate]);
+
+  // On every view change focus goes back to the control that opened the view we
+  // returned to, or else to the new view's heading
+  const viewKey = selectedId ? `app/${selectedId}` : route.view || "grid";
+  useEffect(() => {
+    const key = window.history.state?.focusKey;
+    const raf = requestAnimationFrame(() => {
+      const el = (key && document.querySelector(`[data-focus-key="${window.CSS.escape(key)}"]`))
+        || document.querySelector("[data-page-title]");
+      el?.focus({ preventScroll: true });
+    });
+    return () => cancelAnimationFrame(raf);
+  }, [viewKey]);
+
+  // Restore the grid's scroll offset when returning to it via back/forward
+  const onGrid = !selectedId && !route.view;
+  useEffect(() => {
+    if (!onGrid) return;
+    const y = window.history.state?.scrollY || 0;
+    const raf = requestAnimationFrame(() => window.scrollTo(0, y));
+    return () => cancelAnimationFrame(raf);
+  }, [onGrid]);
 
   if (selectedApp) {
     return (
       <>
-        <style>{CSS}</style>
-        <DetailPage app={selectedApp} host={host} onClose={onClose} />
+        <style>{css()}</style>
+        {notices}
+        <DetailPage app={selectedApp} locale={locale} host={host} servers={servers} installs={installs} favorites={favorites}
+          platform={platform} tab={route.tab} anchor={route.anchor} onTab={onTab} onRoute={onRoute} onClose={onClose} />
+      </>
+    );
+  }
+
+  if (route.view === "compare") {
+    return (
+      <>
+        <style>{css()}</style>
+        {notices}
+        <ComparePage ids={route.ids} apps={apps} onSelect={onSelect} onClose={onClose}
+          onRemove={(id) => {
+            compare.remove(id);
+            navigate({ view: "compare", ids: route.ids.filter((x) => x !== id) }, { replace: true });
+          }} />
+      </>
+    );
+  }
+
+  if (route.view === "list") {
+    return (
+      <>
+        <style>{css()}</style>
+        {notices}
+        <AppListPage route={route} apps={apps} loaded={catalogStatus === "ready" || catalogStatus === "fallback"} host={host} installs={installs} favorites={favorites}
+          onSelect={onSelect} onClose={onClose}
+          onRename={(name) => navigate({ ...route, name }, { replace: true })} />
+      </>
+    );
+  }
+
+  if (route.view === "installed") {
+    return (
+      <>
+        <style>{css()}</style>
+        {notices}
+        <MyAppsPage apps={apps} servers={servers} installs={installs} onSelect={onSelect} onClose={onClose} />
       </>
     );
   }
 
   return (
     <>
-      <style>{CSS}</style>
+      <style>{css()}</style>
+      {notices}
 
       {/* header */}
       <header style={{
         position: "sticky", top: 0, zIndex: 200,
-        background: "linear-gradient(135deg, rgba(17,14,36,0.92), rgba(30,20,58,0.88))",
+        background: T.chrome,
         backdropFilter: "blur(24px) saturate(1.5)",
         WebkitBackdropFilter: "blur(24px) saturate(1.5)",
         borderBottom: `1px solid ${T.purple}20`,
-        boxShadow: "0 4px 30px rgba(17,14,36,0.5), inset 0 -1px 0 rgba(192,132,252,0.08)",
+        boxShadow: T.chromeShadow,
       }}>
         <div style={{
           maxWidth: 1200, margin: "0 auto", padding: "12px 16px",
@@ -1749,11 +4193,13 @@ function App() {
               fontSize: 13, color: T.cyan + "66", pointerEvents: "none",
               fontFamily: "'JetBrains Mono', monospace",
             }}>⌕</span>
-            <input type="search" placeholder="search_apps..." value={query}
+            <input ref={searchRef} type="search" placeholder={t("header.searchPlaceholder")} value={query}
+              aria-label={t("header.search")} aria-keyshortcuts="/"
               onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => e.key === "Escape" && e.currentTarget.blur()}
               style={{
-                width: "100%", padding: "10px 14px 10px 34px",
-                background: "rgba(192,132,252,0.06)",
+                width: "100%", padding: "10px 34px 10px 34px",
+                background: T.field,
                 border: `1px solid ${T.purple}22`, borderRadius: T.radiusSm, color: T.text,
                 fontSize: 13, outline: "none", transition: "all .2s",
                 fontFamily: "'JetBrains Mono', monospace",
@@ -1767,12 +4213,105 @@ function App() {
                 e.target.style.boxShadow = "none";
               }}
             />
+            {!query && (
+              <kbd style={{
+                position: "absolute", right: 10, top: "50%", transform: "translateY(-50%)",
+                padding: "1px 7px", fontSize: 10, color: T.textDim, pointerEvents: "none",
+                border: `1px solid ${T.purple}33`, borderRadius: 3,
+                fontFamily: "'JetBrains Mono', monospace",
+              }}>/</kbd>
+            )}
           </div>
 
-          <HostBar host={host} setHost={setHost} />
+          {installs.installs.length > 0 && (
+            <button onClick={() => navigate({ view: "installed" })} data-focus-key="my-apps"
+              title={behindCount ? t("header.behind", { count: behindCount }) : t("header.history")}
+              style={{
+                display: "inline-flex", alignItems: "center", gap: 8,
+                padding: "9px 14px", borderRadius: T.radiusSm, cursor: "pointer",
+                border: `1px solid ${T.purple}33`, background: T.field,
+                color: T.textSec, fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+                fontFamily: "'JetBrains Mono', monospace",
+              }}>
+              {t("header.myApps")}
+              {behindCount > 0 && (
+                <span style={{
+                  padding: "1px 6px", borderRadius: 8, fontSize: 10,
+                  background: T.yellow + "22", color: T.yellow, border: `1px solid ${T.yellow}55`,
+                }}>{behindCount}</span>
+              )}
+            </button>
+          )}
+
+          <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t("header.language")} style={{
+            padding: "9px 8px", borderRadius: T.radiusSm, cursor: "pointer",
+            border: `1px solid ${T.purple}33`, background: T.bgAlt, color: T.textSec,
+            fontSize: 11, fontFamily: "'JetBrains Mono', monospace", outline: "none",
+          }}>
+            {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id}>{l.label}</option>)}
+          </select>
+          <select value={themeChoice} onChange={(e) => setTheme(e.target.value)} aria-label={t("theme.label")} style={{
+            padding: "9px 8px", borderRadius: T.radiusSm, cursor: "pointer",
+            border: `1px solid ${T.purple}33`, background: T.bgAlt, color: T.textSec,
+            fontSize: 11, fontFamily: "'JetBrains Mono', monospace", outline: "none",
+          }}>
+            {["system", ...Object.keys(THEMES)].map((id) => <option key={id} value={id}>{t(`theme.${id}`)}</option>)}
+          </select>
+
+          <OfflineDataMenu />
+          <HostBar servers={servers} />
         </div>
       </header>
 
+      {/* host handed over by the user's server */}
+      {handoff && (
+        <div style={{ maxWidth: 1200, margin: "0 auto", padding: "14px 16px 0" }}>
+          <div role="status" style={{
+            display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+            padding: "10px 16px", borderRadius: T.radiusSm,
+            border: `1px solid ${T.cyan}44`, background: T.cyan + "0d",
+            fontSize: 12, color: T.cyan,
+            fontFamily: "'JetBrains Mono', monospace",
+            animation: "fadeIn .2s ease-out",
+          }}>
+            <span>{t("handoff.notice", { server: <strong>{serverLabel(handoff.host)}</strong> })}</span>
+            <span style={{ display: "flex", gap: 8 }}>
+              <button onClick={() => { handoff.undo(); setHandoff(null); }} style={{
+                padding: "6px 14px", borderRadius: 3, cursor: "pointer",
+                border: `1px solid ${T.cyan}44`, background: "transparent", color: T.textSec,
+                fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+              }}>{t("action.undo")}</button>
+              <button onClick={() => setHandoff(null)} aria-label={t("action.dismiss")} style={{
+                padding: "6px 10px", borderRadius: 3, cursor: "pointer",
+                border: "none", background: "transparent", color: T.textDim, fontSize: 14,
+              }}>×</button>
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* newer catalog published since load */}
+      {catalogPending && (
+        <div style={{ maxWidth: 1200, margin: "0 auto", padding: "14px 16px 0" }}>
+          <div style={{
+            display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12,
+            padding: "10px 16px", borderRadius: T.radiusSm,
+            border: `1px solid ${T.green}44`, background: T.green + "0d",
+            fontSize: 12, color: T.green,
+            fontFamily: "'JetBrains Mono', monospace",
+            animation: "fadeIn .2s ease-out",
+          }}>
+            <span>{t("catalog.newer")}</span>
+            <button onClick={applyPending} style={{
+              padding: "6px 14px", borderRadius: 3, cursor: "pointer",
+              border: `1px solid ${T.green}66`, background: T.green + "15", color: T.green,
+              fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+              textShadow: `0 0 6px ${T.greenGlow}`,
+            }}>{t("action.refresh")}</button>
+          </div>
+        </div>
+      )}
+
       {/* categories */}
       <div style={{ maxWidth: 1200, margin: "0 auto", padding: "18px 16px 0" }}>
         <div className="cat-scroll" style={{
@@ -1787,7 +4326,7 @@ function App() {
                 border: `1px solid ${active ? T.cyan + "55" : T.purple + "18"}`,
                 background: active
                   ? `linear-gradient(135deg, ${T.cyan}18, ${T.purple}15)`
-                  : "rgba(192,132,252,0.04)",
+                  : T.fieldQuiet,
                 color: active ? T.cyan : T.textSec,
                 fontSize: 11, fontWeight: 600, cursor: "pointer",
                 whiteSpace: "nowrap", transition: "all .25s", flexShrink: 0,
@@ -1795,10 +4334,42 @@ function App() {
                 letterSpacing: ".06em", textTransform: "uppercase",
                 boxShadow: active ? `0 0 15px ${T.accentGlow}` : "none",
                 textShadow: active ? `0 0 8px ${T.accentGlow}` : "none",
-              }}>{c}</button>
+              }}>{c === "All" ? t("grid.all") : c}</button>
             );
           })}
         </div>
+
+        {/* facets + sort */}
+        <div style={{
+          display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginTop: 10,
+        }}>
+          <FacetToggle active={license === "open"} onClick={() => setGrid({ license: license === "open" ? "" : "open" })}>{t("license.open")}</FacetToggle>
+          <FacetToggle active={license === "hlsl"} onClick={() => setGrid({ license: license === "hlsl" ? "" : "hlsl" })}>HLSL</FacetToggle>
+          <FacetToggle active={shots} onClick={() => setGrid({ shots: !shots })}>{t("facet.shots")}</FacetToggle>
+          <FacetToggle active={fav} onClick={() => setGrid({ fav: !fav })}>★ {t("facet.favorites")} ({favorites.ids.length})</FacetToggle>
+          {fav && favorites.ids.length > 0 && (
+            <FacetToggle active={false} focusKey="share-list" onClick={() => navigate({ view: "list", name: "", ids: favorites.ids })}>{t("facet.share")}</FacetToggle>
+          )}
+          {developers.length > 1 && developers.map((d) => (
+            <FacetToggle key={d} active={devs.includes(d)} onClick={() => toggleDev(d)}>@{d}</FacetToggle>
+          ))}
+          <label style={{
+            marginLeft: "auto", display: "flex", alignItems: "center", gap: 8,
+            fontSize: 10, color: T.textDim, letterSpacing: ".08em", textTransform: "uppercase",
+            fontFamily: "'JetBrains Mono', monospace",
+          }}>
+            {t("sort.label")}
+            <select value={sort} onChange={(e) => setGrid({ sort: e.target.value }, { replace: true })} style={{
+              padding: "5px 8px", borderRadius: 3, cursor: "pointer",
+              border: `1px solid ${T.purple}33`, background: T.bgAlt, color: T.cyan,
+              fontSize: 11, fontFamily: "'JetBrains Mono', monospace", outline: "none",
+            }}>
+              {sortModes.map(([id, label]) => (
+                <option key={id} value={id}>{t(label)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
       </div>
 
       {/* grid */}
@@ -1811,13 +4382,59 @@ function App() {
             fontFamily: "'JetBrains Mono', monospace",
             letterSpacing: ".06em",
           }}>
-            <span style={{ color: T.cyan + "aa" }}>{filtered.length}</span>
-            {" "}app{filtered.length !== 1 ? "s" : ""}
-            {category !== "All" && <> in <span style={{ color: T.magenta + "aa" }}>{category}</span></>}
+            {t("grid.apps", { count: <span style={{ color: T.cyan + "aa" }}>{filtered.length}</span> }, filtered.length)}
+            {category !== "All" && <> {t("grid.inCategory", { category: <span style={{ color: T.magenta + "aa" }}>{category}</span> })}</>}
           </span>
+          {activeFacets.length > 0 && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", flex: 1, marginLeft: 14 }}>
+              {activeFacets.map((f) => <FilterChip key={f.key} onRemove={f.clear}>{f.label}</FilterChip>)}
+              {activeFacets.length > 1 && (
+                <button onClick={() => setGrid({ license: "", devs: [], shots: false, fav: false })} style={{
+                  background: "none", border: "none", cursor: "pointer", padding: "3px 6px",
+                  color: T.textDim, fontSize: 10, letterSpacing: ".06em", textTransform: "uppercase",
+                  fontFamily: "'JetBrains Mono', monospace",
+                }}>{t("facet.clearAll")}</button>
+              )}
+            </div>
+          )}
+          {catalogStatus === "fallback" && (
+            <span title={catalogError || ""} style={{
+              fontSize: 10, color: T.yellow + "cc",
+              fontFamily: "'JetBrains Mono', monospace",
+              letterSpacing: ".06em", textTransform: "uppercase",
+            }}>{t("catalog.fallback")}</span>
+          )}
         </div>
 
-        {filtered.length > 0 ? (
+        {catalogStatus === "loading" ? (
+          <div style={{ textAlign: "center", padding: "80px 20px", color: T.textDim }}>
+            <p style={{
+              fontSize: 14, fontWeight: 700, color: T.cyan,
+              fontFamily: "'Orbitron', sans-serif",
+              letterSpacing: ".1em",
+              textShadow: `0 0 8px ${T.accentGlow}`,
+              animation: "flicker 2s ease-in-out infinite",
+            }}>{t("catalog.loading")}</p>
+          </div>
+        ) : catalogStatus === "error" ? (
+          <div style={{ textAlign: "center", padding: "80px 20px", color: T.textDim }}>
+            <p style={{
+              fontSize: 14, fontWeight: 700, color: T.magenta,
+              fontFamily: "'Orbitron', sans-serif",
+              letterSpacing: ".1em",
+            }}>{t("catalog.error")}</p>
+            <p style={{
+              fontSize: 12, marginTop: 8, color: T.textDim,
+              fontFamily: "'JetBrains Mono', monospace",
+            }}>{catalogError}</p>
+            <button onClick={reload} style={{
+              marginTop: 18, padding: "8px 20px", borderRadius: 3, cursor: "pointer",
+              border: `1px solid ${T.cyan}44`, background: T.cyan + "0d", color: T.cyan,
+              fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+              fontFamily: "'JetBrains Mono', monospace",
+            }}>{t("action.retry")}</button>
+          </div>
+        ) : filtered.length > 0 ? (
           <div style={{
             display: "grid",
             gridTemplateColumns: "repeat(auto-fill, minmax(min(100%, 310px), 1fr))",
@@ -1825,7 +4442,7 @@ function App() {
           }}>
             {filtered.map((app, i) => (
               <div key={app.appId} style={{ animationDelay: `${i * 60}ms` }}>
-                <AppCard app={app} onSelect={onSelect} host={host} />
+                <AppCard app={app} onSelect={onSelect} host={host} servers={servers} installs={installs} favorites={favorites} compare={compare} highlight={highlights.get(app.appId)} />
               </div>
             ))}
           </div>
@@ -1841,15 +4458,44 @@ function App() {
               fontSize: 14, fontWeight: 700, color: T.textSec,
               fontFamily: "'Orbitron', sans-serif",
               letterSpacing: ".1em",
-            }}>NO RESULTS</p>
+            }}>{t("grid.noResults")}</p>
             <p style={{
               fontSize: 12, marginTop: 8, color: T.textDim,
               fontFamily: "'JetBrains Mono', monospace",
-            }}>try a different search or category</p>
+            }}>{t("grid.noResultsHint")}</p>
           </div>
         )}
       </main>
 
+      {/* comparison tray */}
+      {compare.ids.length > 0 && (
+        <div role="region" aria-label={t("compare.tray")} style={{
+          position: "fixed", left: "50%", bottom: 18, transform: "translateX(-50%)", zIndex: 150,
+          display: "flex", alignItems: "center", gap: 10, padding: "10px 14px",
+          background: T.popover, border: `1px solid ${T.cyan}44`, borderRadius: T.radius,
+          boxShadow: `0 0 25px ${T.accentGlow}, 0 12px 40px rgba(0,0,0,.4)`,
+          animation: "fadeUp .2s ease-out both",
+        }}>
+          {compare.ids.map((id) => {
+            const a = apps.find((x) => x.appId === id);
+            return a && <span key={id} title={a.name}><AppIcon app={a} size={28} /></span>;
+          })}
+          <span style={{ fontSize: 11, color: T.textDim, fontFamily: "'JetBrains Mono', monospace" }}>
+            {compare.ids.length}/{MAX_COMPARE}
+          </span>
+          <button disabled={compare.ids.length < 2} onClick={() => navigate({ view: "compare", ids: compare.ids })} data-focus-key="compare" style={{
+            padding: "7px 16px", borderRadius: 3, cursor: compare.ids.length < 2 ? "default" : "pointer",
+            border: `1px solid ${T.cyan}66`, background: T.cyan + "15", color: T.cyan,
+            opacity: compare.ids.length < 2 ? .5 : 1,
+            fontSize: 11, fontWeight: 700, letterSpacing: ".08em",
+            fontFamily: "'JetBrains Mono', monospace",
+          }}>{t("compare.open")}</button>
+          <button onClick={compare.clear} aria-label={t("compare.clear")} style={{
+            background: "none", border: "none", cursor: "pointer", color: T.textDim, fontSize: 14,
+          }}>×</button>
+        </div>
+      )}
+
       {/* bottom sunset glow */}
       <div style={{
         position: "fixed", bottom: 0, left: 0, right: 0, height: 3,
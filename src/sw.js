@@ -0,0 +1,173 @@
+// Service worker template. The vite build prepends `self.__PRECACHE` (the
+// build version and the shell's URLs, relative to the scope) and emits the
+// result as sw.js; see serviceWorker() in vite.config.js.
+const { version, urls } = self.__PRECACHE;
+
+// GitHub Pages shares the origin between projects, so only our own caches
+// are ever deleted. The runtime caches outlive shell versions; the store's
+// "offline data" panel reads and clears them by these names too.
+const CACHE_PREFIX = 'melusina-market-';
+const CACHE_NAME = CACHE_PREFIX + version;
+const CATALOG_CACHE = CACHE_PREFIX + 'catalog';
+const MEDIA_CACHE = CACHE_PREFIX + 'media';
+const MISC_CACHE = CACHE_PREFIX + 'misc';
+const RUNTIME_CACHES = [CATALOG_CACHE, MEDIA_CACHE, MISC_CACHE];
+
+// apps/index.json falls back to the cached copy when the network is slower
+// than this; the fetch still finishes in the background and refreshes it.
+const CATALOG_TIMEOUT_MS = 4000;
+
+// Icons and screenshots are kept up to this many bytes, least recently used
+// first out. Cached responses carry their size in SIZE_HEADER.
+const MEDIA_MAX_BYTES = 50 * 1024 * 1024;
+const SIZE_HEADER = 'x-melusina-size';
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+const SHELL = new Set(urls.map(scoped));
+
+// Path below the scope for same-origin requests, null for anything else.
+function scopePath(url) {
+  const scope = new URL(self.registration.scope);
+  if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return null;
+  return url.pathname.slice(scope.pathname.length);
+}
+
+// SPKs approach 95 MB and the Sandstorm tarball is bigger still; a browser
+// never needs them offline.
+const NEVER_CACHE = ['packages/', 'update/'];
+const MEDIA = ['images/', 'screenshots/', 'content/'];
+
+// Install — precache shell. The new worker waits until the store asks it to
+// take over, so an open tab never mixes old and new bundles.
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.addAll(urls.map((url) => new Request(scoped(url), { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Activate — clean old caches
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) =>
+      Promise.all(
+        keys
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && !RUNTIME_CACHES.includes(key))
+          .map((key) => caches.delete(key))
+      )
+    ).then(() => self.clients.claim())
+  );
+});
+
+// Fetch — routed by path below the scope
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  // Skip non-GET
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const path = scopePath(url);
+  if (path === null) return;
+  if (NEVER_CACHE.some((prefix) => path.startsWith(prefix))) return;
+  // Partial responses (video seeking) can't be cached
+  if (request.headers.has('range')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, MISC_CACHE).then((r) => r || caches.match(scoped('index.html'))));
+    return;
+  }
+  if (SHELL.has(url.href)) {
+    event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+    return;
+  }
+  if (path === 'apps/index.json') {
+    event.respondWith(networkFirst(event, CATALOG_CACHE, CATALOG_TIMEOUT_MS).then((r) => r || Response.error()));
+    return;
+  }
+  if (MEDIA.some((prefix) => path.startsWith(prefix))) {
+    event.respondWith(cacheFirstMedia(event));
+    return;
+  }
+  event.respondWith(networkFirst(event, MISC_CACHE).then((r) => r || Response.error()));
+});
+
+// Network response, stored in `cacheName`; the cached copy when the network
+// fails or takes longer than `timeout` ms. Resolves to undefined when
+// neither is available.
+function networkFirst(event, cacheName, timeout) {
+  const { request } = event;
+  const network = fetch(request);
+  // Registered before anyone reads the body, so the clone is always possible;
+  // waitUntil keeps the worker alive for a fetch that outlives the timeout
+  event.waitUntil(network.then((response) => {
+    if (!response.ok) return;
+    const clone = response.clone();
+    return caches.open(cacheName).then((cache) => cache.put(request, clone));
+  }).catch(() => {}));
+  event.waitUntil(network.then(() => notify(event, true), () => notify(event, false)));
+  const cached = () => caches.open(cacheName).then((cache) => cache.match(request, { ignoreSearch: true }));
+
+  if (!timeout) return network.catch(cached);
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (response) => {
+      if (!done) { done = true; resolve(response); }
+    };
+    const timer = setTimeout(() => cached().then((response) => response && finish(response)), timeout);
+    network
+      .then(finish, () => cached().then(finish))
+      .finally(() => clearTimeout(timer));
+  });
+}
+
+// Tells the page whether the network answered, so its offline banner also
+// shows when navigator.onLine claims a connection that doesn't work.
+// Navigations have no client yet and are skipped.
+function notify(event, online) {
+  if (!event.clientId) return;
+  return self.clients.get(event.clientId).then((client) => {
+    if (client) client.postMessage({ type: 'CONNECTIVITY', online });
+  });
+}
+
+async function cacheFirstMedia(event) {
+  const { request } = event;
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    // Re-adding moves the entry to the end of the key order, which is the
+    // LRU order trimMedia() evicts from
+    event.waitUntil(cache.put(request, cached.clone()));
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) event.waitUntil(putMedia(cache, request, response.clone()));
+  return response;
+}
+
+async function putMedia(cache, request, response) {
+  const body = await response.blob();
+  const headers = new Headers(response.headers);
+  headers.set(SIZE_HEADER, String(body.size));
+  await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+  await trimMedia(cache);
+}
+
+async function trimMedia(cache) {
+  const keys = await cache.keys();
+  const sizes = await Promise.all(
+    keys.map((key) => cache.match(key).then((r) => Number(r && r.headers.get(SIZE_HEADER)) || 0))
+  );
+  let total = sizes.reduce((sum, size) => sum + size, 0);
+  // The newest entry always stays, even when it alone exceeds the cap
+  for (let i = 0; total > MEDIA_MAX_BYTES && i < keys.length - 1; i++) {
+    await cache.delete(keys[i]);
+    total -= sizes[i];
+  }
+}
@@ -1,7 +1,59 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+// Files from public/ that belong to the offline shell. Everything Vite emits
+// (index.html and the hashed assets) is precached as well.
+const SHELL_PUBLIC = [
+  'manifest.json',
+  'icons/melulogo-cyan.svg',
+  'icons/melulogo-192.png',
+  'icons/melulogo-512.png',
+];
+
+// Emits sw.js from src/sw.js with the precache list and a cache version
+// derived from this build's output, so every deploy that changes the shell
+// gets a fresh cache and the old one is dropped on activation.
+function serviceWorker() {
+  let config;
+  return {
+    name: 'melusina-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle(_, bundle) {
+      const files = [];
+      for (const chunk of Object.values(bundle)) {
+        if (chunk.fileName.endsWith('.map')) continue;
+        files.push([chunk.fileName, chunk.type === 'chunk' ? chunk.code : chunk.source]);
+      }
+      for (const name of SHELL_PUBLIC) {
+        files.push([name, readFileSync(resolve(config.publicDir, name))]);
+      }
+      files.sort(([a], [b]) => (a < b ? -1 : 1));
+
+      const hash = createHash('sha256');
+      for (const [name, content] of files) hash.update(name).update('\0').update(content).update('\0');
+      const precache = {
+        version: hash.digest('hex').slice(0, 12),
+        urls: ['./', ...files.map(([name]) => name)],
+      };
+
+      const template = readFileSync(resolve(config.root, 'src/sw.js'), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE = ${JSON.stringify(precache, null, 2)};\n\n${template}`,
+      });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/melusina-static-store/',
 });